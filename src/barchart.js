@@ -27,96 +27,332 @@
   // DATE UTILITIES
   // ============================================================================
 
+  // Intl formatters per IANA time zone (they are expensive to create)
+  const zoneFormatters = new Map();
+
+  function getZoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+      zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+    return zoneFormatters.get(timeZone);
+  }
+
   /**
-   * Get ISO week number for a date
+   * Validate a timeZone option
+   * @param {string} timeZone - 'local', 'UTC' or an IANA name such as 'America/New_York'
+   * @returns {string} The time zone, or 'local' if it is not supported
+   */
+  function resolveTimeZone(timeZone) {
+    if (!timeZone || timeZone === 'local' || timeZone === 'UTC') return timeZone || 'local';
+    try {
+      getZoneFormatter(timeZone);
+      return timeZone;
+    } catch (e) {
+      console.warn(`Barchart: Unknown timeZone "${timeZone}", falling back to "local"`);
+      return 'local';
+    }
+  }
+
+  /**
+   * Get the calendar fields of a date in a time zone
    * @param {Date} date
-   * @returns {number} Week number (1-53)
+   * @param {string} [timeZone='local'] - 'local', 'UTC' or an IANA name
+   * @returns {Object} { year, month (0-11), day, weekday (0-6, Sun-Sat), hours, minutes, seconds }
+   */
+  function getDateParts(date, timeZone = 'local') {
+    if (timeZone === 'local') {
+      return {
+        year: date.getFullYear(), month: date.getMonth(), day: date.getDate(), weekday: date.getDay(),
+        hours: date.getHours(), minutes: date.getMinutes(), seconds: date.getSeconds()
+      };
+    }
+    if (timeZone === 'UTC') {
+      return {
+        year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(), weekday: date.getUTCDay(),
+        hours: date.getUTCHours(), minutes: date.getUTCMinutes(), seconds: date.getUTCSeconds()
+      };
+    }
+
+    const parts = {};
+    getZoneFormatter(timeZone).formatToParts(date).forEach(p => {
+      parts[p.type] = p.value;
+    });
+    const year = Number(parts.year);
+    const month = Number(parts.month) - 1;
+    const day = Number(parts.day);
+    return {
+      year, month, day,
+      weekday: new Date(Date.UTC(year, month, day)).getUTCDay(),
+      hours: Number(parts.hour) % 24,
+      minutes: Number(parts.minute),
+      seconds: Number(parts.second)
+    };
+  }
+
+  /**
+   * Create the Date for a wall-clock time in a time zone (out-of-range fields roll over like Date.UTC)
+   * @returns {Date}
+   */
+  function makeDate(year, month, day, hours = 0, minutes = 0, seconds = 0, timeZone = 'local') {
+    if (timeZone === 'local') return new Date(year, month, day, hours, minutes, seconds);
+    const wallClock = Date.UTC(year, month, day, hours, minutes, seconds);
+    if (timeZone === 'UTC') return new Date(wallClock);
+
+    // Shift by the zone offset, then re-check it in case a DST change lies in between
+    const offset = getZoneOffset(new Date(wallClock), timeZone);
+    const adjustedOffset = getZoneOffset(new Date(wallClock - offset), timeZone);
+    return new Date(wallClock - adjustedOffset);
+  }
+
+  /**
+   * Get a time zone's offset from UTC at a given instant, in milliseconds
+   */
+  function getZoneOffset(date, timeZone) {
+    const p = getDateParts(date, timeZone);
+    return Date.UTC(p.year, p.month, p.day, p.hours, p.minutes, p.seconds) - (date.getTime() - date.getUTCMilliseconds());
+  }
+
+  /**
+   * Parse a date value. Date-only and zone-less strings ("2025-01-01", "2025-01-01T08:30")
+   * are read as wall-clock time in timeZone; other strings and numbers use the Date constructor.
+   * @param {Date|string|number} value
+   * @param {string} [timeZone='local']
+   * @returns {Date}
    */
-  function getWeek(date) {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  function parseDate(value, timeZone = 'local') {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string') {
+      const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/.exec(value.trim());
+      if (m) {
+        return makeDate(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0), timeZone);
+      }
+    }
+    return new Date(value);
+  }
+
+  /**
+   * Get ISO week number and ISO week-numbering year for a date
+   * @param {Date} date
+   * @param {string} [timeZone='local']
+   * @returns {Object} { year, week }
+   */
+  function getISOWeek(date, timeZone = 'local') {
+    const { year, month, day } = getDateParts(date, timeZone);
+    const d = new Date(Date.UTC(year, month, day));
     const dayNum = d.getUTCDay() || 7;
     d.setUTCDate(d.getUTCDate() + 4 - dayNum);
     const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+    return { year: d.getUTCFullYear(), week: Math.ceil((((d - yearStart) / 86400000) + 1) / 7) };
+  }
+
+  /**
+   * Get ISO week number for a date
+   * @param {Date} date
+   * @param {string} [timeZone='local']
+   * @returns {number} Week number (1-53)
+   */
+  function getWeek(date, timeZone = 'local') {
+    return getISOWeek(date, timeZone).week;
   }
 
   /**
    * Get the start of the week (Monday) for a date
    * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {Date}
    */
-  function getWeekStart(date) {
-    const d = new Date(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-    d.setDate(diff);
-    d.setHours(0, 0, 0, 0);
-    return d;
+  function getWeekStart(date, timeZone = 'local') {
+    const { year, month, day, weekday } = getDateParts(date, timeZone);
+    const diff = day - weekday + (weekday === 0 ? -6 : 1);
+    return makeDate(year, month, diff, 0, 0, 0, timeZone);
   }
 
   /**
    * Get the start of the month for a date
    * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {Date}
    */
-  function getMonthStart(date) {
-    return new Date(date.getFullYear(), date.getMonth(), 1);
+  function getMonthStart(date, timeZone = 'local') {
+    const { year, month } = getDateParts(date, timeZone);
+    return makeDate(year, month, 1, 0, 0, 0, timeZone);
   }
 
   /**
    * Get the start of the year for a date
    * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {Date}
    */
-  function getYearStart(date) {
-    return new Date(date.getFullYear(), 0, 1);
+  function getYearStart(date, timeZone = 'local') {
+    const { year } = getDateParts(date, timeZone);
+    return makeDate(year, 0, 1, 0, 0, 0, timeZone);
+  }
+
+  /**
+   * Format date as YYYY-MM-DD
+   * @param {Date} date
+   * @param {string} [timeZone='local']
+   * @returns {string}
+   */
+  function formatDay(date, timeZone = 'local') {
+    const { year, month, day } = getDateParts(date, timeZone);
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
   }
 
   /**
    * Format date as YYYY-MM
    * @param {Date} date
+   * @param {string} [timeZone='local']
+   * @returns {string}
+   */
+  function formatMonth(date, timeZone = 'local') {
+    const { year, month } = getDateParts(date, timeZone);
+    return `${year}-${String(month + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format date as YYYY-Www (ISO week-numbering year, so 2024-12-30 is 2025-W01)
+   * @param {Date} date
+   * @param {string} [timeZone='local']
+   * @returns {string}
+   */
+  function formatWeek(date, timeZone = 'local') {
+    const { year, week } = getISOWeek(date, timeZone);
+    return `${year}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format date as YYYY-Qn
+   * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {string}
    */
-  function formatMonth(date) {
-    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  function formatQuarter(date, timeZone = 'local') {
+    const { year, month } = getDateParts(date, timeZone);
+    return `${year}-Q${getQuarter(month)}`;
   }
 
   /**
-   * Format date as YYYY-Www
+   * Format date as YYYY-MM-DD HH:00
    * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {string}
    */
-  function formatWeek(date) {
-    return `${date.getFullYear()}-W${String(getWeek(date)).padStart(2, '0')}`;
+  function formatHour(date, timeZone = 'local') {
+    const { hours } = getDateParts(date, timeZone);
+    return `${formatDay(date, timeZone)} ${String(hours).padStart(2, '0')}:00`;
+  }
+
+  /**
+   * Format date as YYYY-MM-DD HH:MM
+   * @param {Date} date
+   * @param {string} [timeZone='local']
+   * @returns {string}
+   */
+  function formatMinute(date, timeZone = 'local') {
+    const { hours, minutes } = getDateParts(date, timeZone);
+    return `${formatDay(date, timeZone)} ${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
   }
 
   /**
    * Format date as YYYY
    * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {string}
    */
-  function formatYear(date) {
-    return `${date.getFullYear()}`;
+  function formatYear(date, timeZone = 'local') {
+    return `${getDateParts(date, timeZone).year}`;
   }
 
   /**
    * Get weekday name
    * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {string}
    */
-  function getWeekdayName(date) {
+  function getWeekdayName(date, timeZone = 'local') {
     const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    return days[date.getDay()];
+    return days[getDateParts(date, timeZone).weekday];
   }
 
   /**
    * Get month name
    * @param {Date} date
+   * @param {string} [timeZone='local']
    * @returns {string}
    */
-  function getMonthName(date) {
+  function getMonthName(date, timeZone = 'local') {
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    return months[date.getMonth()];
+    return months[getDateParts(date, timeZone).month];
+  }
+
+  // Chart type each chart type drills into by default (drillDown option)
+  const defaultDrillPath = {
+    byYear: 'byMonth',
+    byQuarter: 'byMonth',
+    byMonth: 'byDay',
+    byWeek: 'byDay'
+  };
+
+  /**
+   * Get the date range covered by a bucket key
+   * @param {string} key - Bucket key as produced by aggregates (e.g. "2025", "2025-03", "2025-W05")
+   * @param {string} chartType - The chart type that produced the key
+   * @param {string} [timeZone='local']
+   * @returns {Object|null} { start, end } with end exclusive, or null for cyclic types (byWeekday, byHourOfDay)
+   */
+  function getBucketRange(key, chartType, timeZone = 'local') {
+    const n = key.split(/[-WQ: ]+/).map(Number);
+    switch (chartType) {
+      case 'byYear':
+        return {
+          start: makeDate(n[0], 0, 1, 0, 0, 0, timeZone),
+          end: makeDate(n[0] + 1, 0, 1, 0, 0, 0, timeZone)
+        };
+      case 'byQuarter':
+        return {
+          start: makeDate(n[0], (n[1] - 1) * 3, 1, 0, 0, 0, timeZone),
+          end: makeDate(n[0], n[1] * 3, 1, 0, 0, 0, timeZone)
+        };
+      case 'byMonth':
+        return {
+          start: makeDate(n[0], n[1] - 1, 1, 0, 0, 0, timeZone),
+          end: makeDate(n[0], n[1], 1, 0, 0, 0, timeZone)
+        };
+      case 'byWeek': {
+        // January 4th is always in ISO week 1
+        const start = getWeekStart(makeDate(n[0], 0, 4 + (n[1] - 1) * 7, 0, 0, 0, timeZone), timeZone);
+        const { year, month, day } = getDateParts(start, timeZone);
+        return { start, end: makeDate(year, month, day + 7, 0, 0, 0, timeZone) };
+      }
+      case 'byDay':
+        return {
+          start: makeDate(n[0], n[1] - 1, n[2], 0, 0, 0, timeZone),
+          end: makeDate(n[0], n[1] - 1, n[2] + 1, 0, 0, 0, timeZone)
+        };
+      case 'byHour':
+        return {
+          start: makeDate(n[0], n[1] - 1, n[2], n[3], 0, 0, timeZone),
+          end: makeDate(n[0], n[1] - 1, n[2], n[3] + 1, 0, 0, timeZone)
+        };
+      case 'byMinute':
+        return {
+          start: makeDate(n[0], n[1] - 1, n[2], n[3], n[4], 0, timeZone),
+          end: makeDate(n[0], n[1] - 1, n[2], n[3], n[4] + 1, 0, timeZone)
+        };
+      default:
+        return null;
+    }
   }
 
   /**
@@ -231,7 +467,8 @@
   /**
    * Format date for tooltip display based on chart type
    * @param {string} dateStr - The date string (e.g., "2025-02-01", "2025-W05", "2025")
-   * @param {string} chartType - The chart type (byMonth, byWeek, byYear, byDay, byWeekday)
+   * @param {string} chartType - The chart type (byMonth, byWeek, byYear, byDay, byWeekday,
+   *   byQuarter, byHour, byMinute, byHourOfDay)
    * @returns {string} Formatted date string for tooltip display
    */
   function formatTooltipDate(dateStr, chartType) {
@@ -264,54 +501,209 @@
         const day = parseInt(parts[2]);
         return `${day} ${monthNames[month]} ${year}`;
       }
+    } else if (chartType === 'byQuarter') {
+      // Convert "2025-Q1" to "2025 Q1"
+      return dateStr.replace('-Q', ' Q');
+    } else if (chartType === 'byHour' || chartType === 'byMinute') {
+      // Convert "2025-02-15 14:00" to "15 Feb 2025 14:00"
+      const [datePart, timePart] = dateStr.split(' ');
+      const parts = datePart.split('-');
+      if (parts.length === 3 && timePart) {
+        return `${parseInt(parts[2])} ${monthNames[parseInt(parts[1]) - 1]} ${parts[0]} ${timePart}`;
+      }
+    } else if (chartType === 'byHourOfDay') {
+      // Convert "14" to "14:00"
+      return `${dateStr}:00`;
     }
     // Default: return as-is (byYear or unknown)
     return dateStr;
   }
 
+  // ============================================================================
+  // AGGREGATION FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Get the p-th percentile of a sorted array (linear interpolation between ranks)
+   * @param {Array<number>} sortedValues - Values sorted ascending
+   * @param {number} p - Percentile (0-100)
+   * @returns {number}
+   */
+  function percentile(sortedValues, p) {
+    const rank = (p / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+  }
+
+  /**
+   * Built-in reducers: (values) => number, values in date order
+   */
+  const aggregators = {
+    sum: values => values.reduce((a, b) => a + b, 0),
+    avg: values => Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100,
+    median: values => percentile([...values].sort((a, b) => a - b), 50),
+    min: values => Math.min(...values),
+    max: values => Math.max(...values),
+    first: values => values[0],
+    last: values => values[values.length - 1],
+    count: values => values.length
+  };
+
+  const aggregationLabels = {
+    sum: 'Sum',
+    avg: 'Avg',
+    median: 'Median',
+    min: 'Min',
+    max: 'Max',
+    first: 'First',
+    last: 'Last',
+    count: 'Count'
+  };
+
+  /**
+   * Resolve an aggregation option to a reducer function
+   * @param {string|Function} aggregation - 'sum', 'avg', 'median', 'min', 'max', 'first', 'last', 'count',
+   *   'pN' (e.g. 'p95'), or a custom (values, points) => number
+   * @returns {Function} Reducer (values, points) => number
+   */
+  function getAggregator(aggregation) {
+    if (!aggregation) return aggregators.avg;
+    if (typeof aggregation === 'function') return aggregation;
+    if (aggregators[aggregation]) return aggregators[aggregation];
+
+    const match = /^p(\d+(?:\.\d+)?)$/.exec(aggregation);
+    if (match && Number(match[1]) <= 100) {
+      const p = Number(match[1]);
+      return values => percentile([...values].sort((a, b) => a - b), p);
+    }
+
+    console.warn(`Barchart: Unknown aggregation "${aggregation}", falling back to "avg"`);
+    return aggregators.avg;
+  }
+
+  /**
+   * Get the tooltip label for an aggregation option
+   * @param {string|Function} aggregation - Aggregation option
+   * @param {string} fallback - Label for custom functions and unset options
+   * @returns {string} Label such as 'Sum', 'Avg' or 'P95'
+   */
+  function getAggregationLabel(aggregation, fallback) {
+    if (typeof aggregation === 'string') {
+      if (aggregationLabels[aggregation]) return aggregationLabels[aggregation];
+      if (/^p\d/.test(aggregation)) return aggregation.toUpperCase();
+    }
+    return fallback;
+  }
+
   // ============================================================================
   // DATA AGGREGATION
   // ============================================================================
 
+  /**
+   * Get the bucket (group) key of a date for a chart type
+   * @param {Date} date
+   * @param {string} mode - Chart type, e.g. 'byMonth'
+   * @param {string} [timeZone='local']
+   * @returns {string} Key such as "2025-03", "2025-W05" or "3" (byWeekday)
+   */
+  function getBucketKey(date, mode, timeZone = 'local') {
+    switch (mode) {
+      case 'byDay':
+        return formatDay(date, timeZone);
+      case 'byWeek':
+        return formatWeek(date, timeZone);
+      case 'byMonth':
+        return formatMonth(date, timeZone);
+      case 'byYear':
+        return formatYear(date, timeZone);
+      case 'byWeekday':
+        return String(getDateParts(date, timeZone).weekday);
+      case 'byQuarter':
+        return formatQuarter(date, timeZone);
+      case 'byHour':
+        return formatHour(date, timeZone);
+      case 'byMinute':
+        return formatMinute(date, timeZone);
+      case 'byHourOfDay':
+        // Zero-padded so keys sort numerically
+        return String(getDateParts(date, timeZone).hours).padStart(2, '0');
+      default:
+        return formatMonth(date, timeZone);
+    }
+  }
+
+  /**
+   * Accessors for the date, value, high and low value of input points
+   * @param {Object} [fields] - { x, y, high, low }, each a key (dotted for nested objects, e.g.
+   *   'stats.max') or a function (d, index) => value; by default date, value, highValue and lowValue
+   * @returns {Object} { x, y, high, low }: functions (d, index) => value
+   */
+  function getAccessors(fields = {}) {
+    const accessor = (spec, defaultKey) => {
+      if (typeof spec === 'function') return spec;
+      const key = spec || defaultKey;
+      if (!key.includes('.')) return d => (d ? d[key] : undefined);
+      const path = key.split('.');
+      return d => path.reduce((obj, part) => (obj === null || obj === undefined ? undefined : obj[part]), d);
+    };
+    return {
+      x: accessor(fields.x, 'date'),
+      y: accessor(fields.y, 'value'),
+      high: accessor(fields.high, 'highValue'),
+      low: accessor(fields.low, 'lowValue')
+    };
+  }
+
+  /**
+   * Read input points into { date (Date), value, highValue, lowValue }, dropping points without a
+   * valid date or value
+   * @param {Array} data - Input points
+   * @param {Object} accessors - From getAccessors
+   * @param {string} timeZone
+   * @param {number} [offset=0] - Index of data[0] in the full data (passed on to the accessors)
+   * @returns {Array}
+   */
+  function readPoints(data, accessors, timeZone, offset = 0) {
+    return data.map((d, i) => {
+      const high = accessors.high(d, offset + i);
+      const low = accessors.low(d, offset + i);
+      return {
+        date: parseDate(accessors.x(d, offset + i), timeZone),
+        value: Number(accessors.y(d, offset + i)),
+        highValue: high !== undefined ? Number(high) : undefined,
+        lowValue: low !== undefined ? Number(low) : undefined
+      };
+    }).filter(d => !isNaN(d.date.getTime()) && !isNaN(d.value));
+  }
+
   /**
    * Aggregates plain data by the given mode ('byMonth', 'byWeek', etc.)
    * @param {Array} data - Array of {date, value}
-   * @param {string} mode - One of 'byMonth', 'byWeek', 'byYear', 'byWeekday', 'byDay'
+   * @param {string} mode - One of 'byMonth', 'byWeek', 'byYear', 'byWeekday', 'byDay',
+   *   'byQuarter', 'byHour', 'byMinute', 'byHourOfDay'
+   * @param {string|Function} [aggregation='avg'] - How each group's values become its value (see getAggregator)
+   * @param {string} [timeZone='local'] - Time zone used to parse dates and assign them to groups
+   * @param {Object} [fields] - { x, y } accessors for data in another shape (see getAccessors)
    * @returns {Array} Array of {date, value, highValue, lowValue, count}
    */
-  function aggregates(data, mode) {
+  function aggregates(data, mode, aggregation = 'avg', timeZone = 'local', fields = {}) {
     if (!data || data.length === 0) return [];
 
+    timeZone = resolveTimeZone(timeZone);
+
     // Normalize data
-    const normalized = data.map(d => ({
-      date: d.date instanceof Date ? d.date : new Date(d.date),
-      value: Number(d.value),
-      highValue: d.highValue !== undefined ? Number(d.highValue) : undefined,
-      lowValue: d.lowValue !== undefined ? Number(d.lowValue) : undefined
-    })).filter(d => !isNaN(d.date.getTime()) && !isNaN(d.value));
-
-    // Group key function based on mode
-    const getGroupKey = (date) => {
-      switch (mode) {
-        case 'byDay':
-          return date.toISOString().split('T')[0];
-        case 'byWeek':
-          return formatWeek(date);
-        case 'byMonth':
-          return formatMonth(date);
-        case 'byYear':
-          return formatYear(date);
-        case 'byWeekday':
-          return String(date.getDay());
-        default:
-          return formatMonth(date);
-      }
-    };
+    const normalized = readPoints(data, getAccessors(fields), timeZone);
+
+    // Keep each group in date order so 'first' and 'last' are meaningful
+    normalized.sort((a, b) => a.date - b.date);
+
+    const reduce = getAggregator(aggregation);
 
     // Group data
     const groups = new Map();
     normalized.forEach(d => {
-      const key = getGroupKey(d.date);
+      const key = getBucketKey(d.date, mode, timeZone);
       if (!groups.has(key)) {
         groups.set(key, []);
       }
@@ -324,11 +716,10 @@
       const allValues = values.map(v => v.value);
       const highValue = Math.max(...allValues);
       const lowValue = Math.min(...allValues);
-      const avgValue = allValues.reduce((a, b) => a + b, 0) / allValues.length;
 
       result.push({
         date: key,
-        value: Math.round(avgValue * 100) / 100,
+        value: reduce(allValues, values),
         highValue: highValue,
         lowValue: lowValue,
         count: values.length
@@ -341,20 +732,510 @@
     return result;
   }
 
+  /**
+   * Merge the date keys of several aggregated datasets into one sorted domain
+   * @param {Array<Array>} dataSets - Aggregated datasets, each an array of {date, ...}
+   * @returns {Array<string>} Sorted, de-duplicated date keys
+   */
+  function buildDateDomain(dataSets) {
+    const keys = new Set();
+    dataSets.forEach(dataSet => {
+      dataSet.forEach(d => keys.add(d.date));
+    });
+    return Array.from(keys).sort((a, b) => a.localeCompare(b));
+  }
+
+  // ============================================================================
+  // DATA LOADERS
+  // ============================================================================
+
+  /**
+   * Split delimited text into rows of fields. Quoted fields may contain delimiters, line breaks
+   * and quotes written as ""; blank lines are dropped
+   * @param {string} text
+   * @param {string} delimiter
+   * @returns {Array<Array<string>>}
+   */
+  function splitDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const endRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+      row = [];
+      field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c !== '"') field += c;
+        else if (text[i + 1] === '"') field += text[++i];
+        else quoted = false;
+      } else if (c === '"' && field.trim() === '') {
+        quoted = true;
+        field = '';
+      } else if (c === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        field += c;
+      }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+  }
+
+  // Delimiter that occurs most often (outside quotes) in the first line: ',', ';', tab or '|'
+  function detectDelimiter(text) {
+    const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+    let quoted = false;
+    for (let i = 0; i < text.length && (quoted || (text[i] !== '\n' && text[i] !== '\r')); i++) {
+      if (text[i] === '"') quoted = !quoted;
+      else if (!quoted && text[i] in counts) counts[text[i]]++;
+    }
+    return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+  }
+
+  /**
+   * Parse a number written with '.' or ',' as decimal separator; spaces, apostrophes and the
+   * other separator are taken as thousand separators, the latter only between groups of three
+   * digits ("1,234.5" with '.'), so "1,5" is rejected instead of read as 15
+   * @param {string|number} value
+   * @param {string} decimal - '.' or ','
+   * @returns {number} NaN for empty or invalid values
+   */
+  function parseLocalizedNumber(value, decimal) {
+    if (typeof value === 'number') return value;
+    if (value === null || value === undefined) return NaN;
+    let text = String(value).trim().replace(/[\s']/g, '');
+    if (text === '') return NaN;
+    const group = decimal === ',' ? '.' : ',';
+    if (text.includes(group)) {
+      const grouped = decimal === ',' ? /^[+-]?\d{1,3}(\.\d{3})+(,\d*)?$/ : /^[+-]?\d{1,3}(,\d{3})+(\.\d*)?$/;
+      if (!grouped.test(text)) return NaN;
+      text = text.split(group).join('');
+    }
+    return Number(decimal === ',' ? text.replace(',', '.') : text);
+  }
+
+  /**
+   * Create a reader for dates written in a fixed format, e.g. 'DD.MM.YYYY' or 'M/D/YYYY HH:mm'
+   * (tokens YYYY, MM, M, DD, D, HH, H, mm, ss). It returns an ISO wall-clock string such as
+   * "2025-03-01T08:30:00", so the chart's timeZone still applies, or null if the text doesn't match
+   * @param {string} dateFormat
+   * @returns {Function} text => string|null
+   */
+  function createDateReader(dateFormat) {
+    const tokens = { YYYY: '(\\d{4})', MM: '(\\d{2})', M: '(\\d{1,2})', DD: '(\\d{2})', D: '(\\d{1,2})', HH: '(\\d{2})', H: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})' };
+    const fields = [];
+    const pattern = dateFormat.replace(/YYYY|MM|M|DD|D|HH|H|mm|ss|[.*+?^${}()|[\]\\]/g, token => {
+      if (!tokens[token]) return '\\' + token;
+      fields.push(token[0]);
+      return tokens[token];
+    });
+    const regex = new RegExp(`^${pattern}$`);
+    const pad = value => String(value).padStart(2, '0');
+
+    return text => {
+      const m = regex.exec(String(text).trim());
+      if (!m) return null;
+      const parts = { Y: '', M: 1, D: 1 };
+      fields.forEach((field, i) => {
+        parts[field] = m[i + 1];
+      });
+      const day = `${parts.Y}-${pad(parts.M)}-${pad(parts.D)}`;
+      return parts.H === undefined ? day : `${day}T${pad(parts.H)}:${pad(parts.m || 0)}:${pad(parts.s || 0)}`;
+    };
+  }
+
+  /**
+   * Build chart data from parsed records (rows of a CSV or objects of JSON lines)
+   * @param {Array} records
+   * @param {Function} field - (record, column) => raw value
+   * @param {Object} columns - { date, values (array), high, low, labels (array) } (null for unused)
+   * @param {Object} options - { dateFormat, decimal }
+   * @returns {Array} [{ date, value, highValue?, lowValue? }], or [{ label, data }] with several value columns
+   */
+  function buildLoadedData(records, field, columns, options) {
+    const readDate = options.dateFormat ? createDateReader(options.dateFormat) : null;
+    const series = columns.values.map(() => []);
+    let skipped = 0;
+
+    records.forEach(record => {
+      const raw = field(record, columns.date);
+      let date = raw;
+      if (typeof raw === 'string') date = readDate ? readDate(raw) : raw.trim();
+      if (date === null || date === undefined || date === '' || isNaN(parseDate(date).getTime())) {
+        skipped++;
+        return;
+      }
+
+      let hasValue = false;
+      columns.values.forEach((column, idx) => {
+        const value = parseLocalizedNumber(field(record, column), options.decimal);
+        if (isNaN(value)) return;
+        const point = { date, value };
+        if (columns.high !== null) {
+          const high = parseLocalizedNumber(field(record, columns.high), options.decimal);
+          if (!isNaN(high)) point.highValue = high;
+        }
+        if (columns.low !== null) {
+          const low = parseLocalizedNumber(field(record, columns.low), options.decimal);
+          if (!isNaN(low)) point.lowValue = low;
+        }
+        series[idx].push(point);
+        hasValue = true;
+      });
+      if (!hasValue) skipped++;
+    });
+
+    if (skipped > 0) {
+      console.warn(`Barchart: Skipped ${skipped} row${skipped === 1 ? '' : 's'} without a valid date or value`);
+    }
+    return columns.values.length === 1
+      ? series[0]
+      : series.map((data, idx) => ({ label: columns.labels[idx], data }));
+  }
+
+  /**
+   * Parse CSV or TSV text into chart data
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string|number} [options.dateColumn] - Column name or index (default: 'date', else the first column)
+   * @param {string|number|Array} [options.valueColumn] - Column(s) with values (default: 'value', else the
+   *   second column). Several columns return one { label, data } timeSeries per column
+   * @param {string|number} [options.highColumn] - Column with high values (high-low charts)
+   * @param {string|number} [options.lowColumn] - Column with low values
+   * @param {string} [options.delimiter] - ',', ';', '\t', ... (detected from the first line by default)
+   * @param {string} [options.decimal] - Decimal separator: '.' or ',' (default ',' with a ';' delimiter, else '.')
+   * @param {string} [options.dateFormat] - e.g. 'DD.MM.YYYY' (default: ISO dates or anything Date parses)
+   * @param {boolean} [options.header=true] - First line holds the column names
+   * @returns {Array} [{ date, value, ... }] for timeSeries data, or [{ label, data }] with several value columns
+   */
+  function parseCSV(text, options = {}) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(source);
+    const rows = splitDelimited(source, delimiter);
+    const hasHeader = options.header !== false;
+    const names = hasHeader && rows.length > 0 ? rows[0].map(name => name.trim()) : [];
+    const records = hasHeader ? rows.slice(1) : rows;
+
+    // Column names or indexes -> index (-1 for unknown columns)
+    const indexOf = (spec, fallbackName, fallbackIndex) => {
+      if (spec === undefined || spec === null) {
+        return names.includes(fallbackName) ? names.indexOf(fallbackName) : fallbackIndex;
+      }
+      if (typeof spec === 'number') return spec;
+      if (!names.includes(spec)) console.warn(`Barchart: Unknown CSV column "${spec}"`);
+      return names.indexOf(spec);
+    };
+    const valueSpecs = Array.isArray(options.valueColumn) ? options.valueColumn : [options.valueColumn];
+    const values = valueSpecs.map(spec => indexOf(spec, 'value', 1));
+    const optional = spec => (spec === undefined || spec === null ? null : indexOf(spec));
+
+    return buildLoadedData(records, (row, idx) => (idx === null || idx < 0 ? undefined : row[idx]), {
+      date: indexOf(options.dateColumn, 'date', 0),
+      values,
+      high: optional(options.highColumn),
+      low: optional(options.lowColumn),
+      labels: values.map((idx, i) => names[idx] || String(valueSpecs[i] !== undefined ? valueSpecs[i] : `Series ${i + 1}`))
+    }, {
+      dateFormat: options.dateFormat,
+      decimal: options.decimal || (delimiter === ';' ? ',' : '.')
+    });
+  }
+
+  /**
+   * Parse JSON lines (one JSON object per line) into chart data
+   * @param {string} text
+   * @param {Object} [options] - dateColumn (default 'date'), valueColumn (default 'value', or an array),
+   *   highColumn, lowColumn, decimal ('.') and dateFormat as in parseCSV; columns are property names
+   * @returns {Array} [{ date, value, ... }], or [{ label, data }] with several value columns
+   */
+  function parseJSONLines(text, options = {}) {
+    const records = [];
+    String(text || '').split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === '') return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (e) {
+        console.warn(`Barchart: Invalid JSON on line ${i + 1}, skipping it`);
+      }
+    });
+
+    const values = Array.isArray(options.valueColumn) ? options.valueColumn : [options.valueColumn || 'value'];
+    return buildLoadedData(records, (record, key) => (key === null || !record ? undefined : record[key]), {
+      date: options.dateColumn || 'date',
+      values,
+      high: options.highColumn || null,
+      low: options.lowColumn || null,
+      labels: values.map(String)
+    }, {
+      dateFormat: options.dateFormat,
+      decimal: options.decimal || '.'
+    });
+  }
+
+  // ============================================================================
+  // TRANSFORMS
+  // ============================================================================
+
+  // Change from a previous value in percent, or null without a usable previous value
+  const percentChangeFrom = (value, previous) => (
+    value === null || previous === null || previous === undefined || previous === 0
+      ? null
+      : ((value - previous) / Math.abs(previous)) * 100
+  );
+
+  /**
+   * Built-in transforms: (values, arg, keys) => values, values in date order (null is a gap)
+   */
+  const transforms = {
+    // Mean of the last n buckets (null until there are n)
+    movingAverage: (values, n = 7) => values.map((v, i) => {
+      const span = values.slice(Math.max(0, i - n + 1), i + 1);
+      if (span.length < n || span.some(x => x === null)) return null;
+      return span.reduce((a, b) => a + b, 0) / n;
+    }),
+    // s = alpha * value + (1 - alpha) * previous s
+    exponentialSmoothing: (values, alpha = 0.3) => {
+      let smoothed = null;
+      return values.map(v => {
+        if (v === null) return null;
+        smoothed = smoothed === null ? v : alpha * v + (1 - alpha) * smoothed;
+        return smoothed;
+      });
+    },
+    cumulative: values => {
+      let sum = 0;
+      return values.map(v => (v === null ? null : (sum += v)));
+    },
+    percentChange: values => values.map((v, i) => percentChangeFrom(v, i > 0 ? values[i - 1] : null)),
+    diff: values => values.map((v, i) => (i === 0 || v === null || values[i - 1] === null ? null : v - values[i - 1])),
+    // Change in percent from the bucket with the same key one year earlier ("2025-W07" vs "2024-W07")
+    yearOverYear: (values, arg, keys) => {
+      const byKey = new Map(keys.map((key, i) => [key, values[i]]));
+      return values.map((v, i) => {
+        const previousKey = shiftKeyYear(keys[i], -1);
+        return previousKey ? percentChangeFrom(v, byKey.get(previousKey)) : null;
+      });
+    }
+  };
+
+  const transformLabels = {
+    movingAverage: n => `Moving avg (${n === undefined ? 7 : n})`,
+    exponentialSmoothing: alpha => `Smoothed (${alpha === undefined ? 0.3 : alpha})`,
+    cumulative: () => 'Cumulative',
+    percentChange: () => '% change',
+    diff: () => 'Change',
+    yearOverYear: () => 'YoY % change'
+  };
+
+  /**
+   * Split a transform name such as 'movingAverage(7)' into name and argument
+   * @param {string} transform
+   * @returns {Object|null} { name, arg }, or null if it is not a known transform
+   */
+  function parseTransform(transform) {
+    const match = /^(\w+)(?:\(\s*(-?\d+(?:\.\d+)?)\s*\))?$/.exec(String(transform).trim());
+    if (!match || !transforms[match[1]]) return null;
+    return { name: match[1], arg: match[2] === undefined ? undefined : Number(match[2]) };
+  }
+
+  /**
+   * Apply a transform option to aggregated points
+   * @param {Array} points - Aggregated points ({date, value, ...}) in date order
+   * @param {string|Function|Array} transform - 'movingAverage(n)', 'exponentialSmoothing(alpha)', 'cumulative',
+   *   'percentChange', 'diff', 'yearOverYear', a custom (values, points) => values, or an array of these
+   *   applied in order
+   * @returns {Array} Points with the transformed value, high and low (null where undefined)
+   */
+  function applyTransform(points, transform) {
+    if (!transform || points.length === 0) return points;
+    const keys = points.map(p => p.date);
+    const clean = v => (v === null || v === undefined || isNaN(v) ? null : v);
+
+    // Resolve the steps once, so an unknown name warns once and not per field
+    const steps = [];
+    (Array.isArray(transform) ? transform : [transform]).forEach(step => {
+      if (typeof step === 'function') {
+        steps.push(values => step(values, points).map(clean));
+        return;
+      }
+      const parsed = parseTransform(step);
+      if (!parsed) {
+        console.warn(`Barchart: Unknown transform "${step}", ignoring it`);
+        return;
+      }
+      steps.push(values => transforms[parsed.name](values, parsed.arg, keys));
+    });
+    const run = field => steps.reduce((values, step) => step(values), points.map(p => clean(p[field])));
+
+    // High and low go through the same steps, so high-low bars keep a (transformed) range
+    const values = run('value');
+    const highs = run('highValue');
+    const lows = run('lowValue');
+    return points.map((p, i) => {
+      const value = values[i];
+      if (value === null || highs[i] === null || lows[i] === null) {
+        return { ...p, value, highValue: value, lowValue: value };
+      }
+      // A step such as diff can swap the order of high and low
+      return { ...p, value, highValue: Math.max(highs[i], lows[i]), lowValue: Math.min(highs[i], lows[i]) };
+    });
+  }
+
+  /**
+   * Get the tooltip label for a transform option
+   * @param {string|Function|Array} transform
+   * @returns {string} Label such as 'Moving avg (7)', or '' for none and custom functions
+   */
+  function getTransformLabel(transform) {
+    if (!transform) return '';
+    return (Array.isArray(transform) ? transform : [transform])
+      .map(step => {
+        const parsed = typeof step === 'function' ? null : parseTransform(step);
+        return parsed ? transformLabels[parsed.name](parsed.arg) : '';
+      })
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  // ============================================================================
+  // PERIOD COMPARISON
+  // ============================================================================
+
+  const compareLabels = {
+    previousPeriod: 'Previous period',
+    previousYear: 'Previous year'
+  };
+
+  /**
+   * Shift a bucket key by whole years ("2025-W07" -> "2024-W07", "2025-03-14" -> "2024-03-14")
+   * @param {string} key
+   * @param {number} years
+   * @returns {string|null} null if the key does not start with a year
+   */
+  function shiftKeyYear(key, years) {
+    const match = /^(\d{4})(.*)$/.exec(key);
+    return match ? String(Number(match[1]) + years).padStart(4, '0') + match[2] : null;
+  }
+
+  /**
+   * Get the key of the bucket another bucket is compared with
+   * @param {string} key - Bucket key
+   * @param {string} chartType
+   * @param {string} compareTo - 'previousPeriod' (the bucket before) or 'previousYear' (the same bucket a year earlier)
+   * @param {string} [timeZone='local']
+   * @returns {string|null} null for cyclic chart types (byWeekday, byHourOfDay)
+   */
+  function getComparisonKey(key, chartType, compareTo, timeZone = 'local') {
+    const range = getBucketRange(key, chartType, timeZone);
+    if (!range) return null;
+    if (compareTo === 'previousYear') return shiftKeyYear(key, -1);
+    return getBucketKey(new Date(range.start.getTime() - 1), chartType, timeZone);
+  }
+
+  /**
+   * Validate a compareTo option
+   * @param {string} compareTo - 'previousPeriod' or 'previousYear'
+   * @param {string} renderType - Render type of the panel
+   * @returns {string|null} The option, or null if it is not supported
+   */
+  function resolveCompareTo(compareTo, renderType) {
+    if (!compareTo) return null;
+    if (!compareLabels[compareTo]) {
+      console.warn(`Barchart: Unknown compareTo "${compareTo}", ignoring it`);
+      return null;
+    }
+    if (isMultiSeries(renderType)) {
+      console.warn(`Barchart: compareTo is not supported in ${renderType} charts`);
+      return null;
+    }
+    return compareTo;
+  }
+
   // ============================================================================
   // SVG HELPER
   // ============================================================================
 
   const svgNS = 'http://www.w3.org/2000/svg';
 
+  // Set while renderToString runs, so the renderers build static elements instead of DOM nodes
+  let staticRendering = false;
+
   function createSVGElement(tag, attrs = {}) {
-    const el = document.createElementNS(svgNS, tag);
+    const el = staticRendering ? createStaticElement(tag) : document.createElementNS(svgNS, tag);
     for (const [key, val] of Object.entries(attrs)) {
       el.setAttribute(key, val);
     }
     return el;
   }
 
+  /**
+   * Stand-in for an SVG element when there is no DOM (server-side rendering). It supports what the
+   * panel, axis and annotation renderers use while building; serializeStaticElement writes it out
+   * @param {string} tag
+   * @returns {Object}
+   */
+  function createStaticElement(tag) {
+    const attributes = new Map();
+    const childNodes = [];
+    const el = {
+      tagName: tag,
+      attributes,
+      childNodes,
+      parentNode: null,
+      textContent: '',
+      get firstChild() {
+        return childNodes[0] || null;
+      },
+      setAttribute(name, value) {
+        attributes.set(name, String(value));
+      },
+      getAttribute(name) {
+        return attributes.has(name) ? attributes.get(name) : null;
+      },
+      appendChild(child) {
+        return el.insertBefore(child, null);
+      },
+      insertBefore(child, reference) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        const index = reference ? childNodes.indexOf(reference) : -1;
+        childNodes.splice(index < 0 ? childNodes.length : index, 0, child);
+        child.parentNode = el;
+        return child;
+      },
+      removeChild(child) {
+        childNodes.splice(childNodes.indexOf(child), 1);
+        child.parentNode = null;
+        return child;
+      }
+    };
+    return el;
+  }
+
+  function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Write a static element tree as SVG markup
+   * @param {Object} el - From createStaticElement
+   * @returns {string}
+   */
+  function serializeStaticElement(el) {
+    const attrs = Array.from(el.attributes, ([name, value]) => ` ${name}="${escapeXML(value)}"`).join('');
+    const content = escapeXML(el.textContent) + el.childNodes.map(serializeStaticElement).join('');
+    return content ? `<${el.tagName}${attrs}>${content}</${el.tagName}>` : `<${el.tagName}${attrs}/>`;
+  }
+
   // ============================================================================
   // TOOLTIP POSITIONING
   // ============================================================================
@@ -397,10 +1278,431 @@
     tooltip.style.top = top + 'px';
   }
 
+  /**
+   * Hover and click handling for a whole chart panel with one set of listeners: the bar slot
+   * is computed from the pointer position and barStep. Touch pointers are ignored here
+   * (createChart handles them with tap-to-inspect and scrubbing).
+   * @param {Element} el - Chart panel element
+   * @param {Function} getBarStep - Returns the slot width (which shrinks as data is appended to a
+   *   chart whose bars fit the visible width)
+   * @param {Function} getSlotCount - Returns the number of slots (which grows as data is appended)
+   * @param {Object} area - Plot area inside el: { left, top, height }
+   * @param {Object} handlers - { enter(slot, e), move(slot, e), leave(), click(slot) }
+   */
+  function attachSlotPointer(el, getBarStep, getSlotCount, area, handlers) {
+    let currentSlot = -1;
+    el.classList.add('barchart-hoverable');
+
+    const slotAt = (e) => {
+      const rect = el.getBoundingClientRect();
+      const y = e.clientY - rect.top - area.top;
+      if (y < 0 || y > area.height) return -1;
+      const slot = Math.floor((e.clientX - rect.left - area.left) / getBarStep());
+      return slot >= 0 && slot < getSlotCount() ? slot : -1;
+    };
+
+    el.addEventListener('pointermove', (e) => {
+      if (e.pointerType === 'touch') return;
+      const slot = slotAt(e);
+      if (slot !== currentSlot) {
+        currentSlot = slot;
+        if (slot < 0) handlers.leave();
+        else handlers.enter(slot, e);
+      } else if (slot >= 0 && handlers.move) {
+        handlers.move(slot, e);
+      }
+    });
+
+    el.addEventListener('pointerleave', (e) => {
+      if (e.pointerType === 'touch' || currentSlot < 0) return;
+      currentSlot = -1;
+      handlers.leave();
+    });
+
+    if (handlers.click) {
+      el.addEventListener('click', (e) => {
+        const slot = slotAt(e);
+        if (slot >= 0) handlers.click(slot);
+      });
+    }
+  }
+
+  /**
+   * Convert tooltip HTML to plain text for screen reader announcements
+   * @param {string} html
+   * @returns {string}
+   */
+  function htmlToText(html) {
+    // Line breaks, rules and table rows end a row; the rows are read as sentences
+    const rowBreak = '\u2029';
+    const el = document.createElement('div');
+    el.innerHTML = String(html)
+      .replace(/<(br|hr)[^>]*>|<\/tr>/gi, rowBreak)
+      .replace(/<\/td>/gi, ' ');
+    return el.textContent
+      .split(rowBreak)
+      .map(row => row.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('. ');
+  }
+
+  // ============================================================================
+  // ACCESSIBILITY
+  // ============================================================================
+
+  /**
+   * Describe a chart panel for its aria-label, e.g. "Revenue: 12 bars, Jan 2025 to Dec 2025"
+   * @param {Object} cfg - Panel configuration
+   * @param {Array} aggregatedData - Aggregated data of the panel
+   * @returns {string}
+   */
+  function describePanel(cfg, aggregatedData) {
+    const prefix = cfg.title ? `${cfg.title}: ` : '';
+    if (aggregatedData.length === 0) return `${prefix}no data`;
+    const first = formatTooltipDate(aggregatedData[0].date, cfg.chartType);
+    const last = formatTooltipDate(aggregatedData[aggregatedData.length - 1].date, cfg.chartType);
+    const bars = `${aggregatedData.length} bar${aggregatedData.length === 1 ? '' : 's'}`;
+    return aggregatedData.length === 1 ? `${prefix}${bars}, ${first}` : `${prefix}${bars}, ${first} to ${last}`;
+  }
+
+  /**
+   * Render a visually hidden table of the aggregated values, as a fallback for screen readers
+   * @param {Array} panels - hoverData of each panel ({ cfg, aggregatedData })
+   * @param {Array<string>} dateDomain - Date keys in x-axis order
+   * @param {string} chartType
+   * @param {string} caption
+   * @returns {HTMLTableElement}
+   */
+  function renderDataTable(panels, dateDomain, chartType, caption) {
+    const table = document.createElement('table');
+    table.className = 'barchart-data-table barchart-sr-only';
+
+    const captionEl = document.createElement('caption');
+    captionEl.textContent = caption;
+    table.appendChild(captionEl);
+
+    // One or more columns per panel: { label, panel, value: d => text }
+    const columns = [];
+    panels.forEach((panel, index) => {
+      const addColumn = (label, value) => columns.push({ label, panel: index, value });
+      const pcfg = panel.cfg;
+      const heading = label => (pcfg.title ? `${pcfg.title}: ${label}` : label);
+      const format = value => (value === null || value === undefined || isNaN(value)
+        ? '—'
+        : formatNumber(value, pcfg.numberFormat, pcfg.numberDecimals, pcfg.useThousandSeparator));
+      const valueLabel = pcfg.aggregationLabel || getAggregationLabel(pcfg.aggregation, 'Value');
+
+      if (pcfg.renderType === 'high-low') {
+        const avgLabel = pcfg.aggregationLabel || getAggregationLabel(pcfg.aggregation, 'Avg');
+        addColumn(heading('High'), d => format(d.highValue));
+        addColumn(heading('Low'), d => format(d.lowValue));
+        addColumn(heading(avgLabel), d => format(d.value));
+      } else if (isMultiSeries(pcfg.renderType)) {
+        const count = Math.max(0, ...panel.aggregatedData.map(d => (d.values || []).length));
+        const labels = pcfg.yAxisLabels || [];
+        for (let idx = 0; idx < count; idx++) {
+          addColumn(heading(labels[idx] || `Series ${idx + 1}`), d => {
+            const value = (d.values || [])[idx];
+            return value === null || value === undefined || isNaN(value)
+              ? '—'
+              : formatSeriesValue(value, idx, pcfg, pcfg.numberFormat, pcfg.numberDecimals, pcfg.useThousandSeparator);
+          });
+        }
+      } else {
+        addColumn(pcfg.title || (panels.length > 1 ? `Series ${index + 1}` : valueLabel), d => format(d.value));
+      }
+      if (panel.aggregatedData.some(d => d.compareValue !== undefined)) {
+        addColumn(heading(compareLabels[pcfg.compareTo]), d => format(d.compareValue));
+      }
+    });
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['Date', ...columns.map(c => c.label)].forEach(text => {
+      const th = document.createElement('th');
+      th.setAttribute('scope', 'col');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    // Look up each panel's bucket by date key
+    const byDate = panels.map(panel => new Map(panel.aggregatedData.map(d => [d.date, d])));
+
+    const tbody = document.createElement('tbody');
+    dateDomain.forEach(date => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.setAttribute('scope', 'row');
+      th.textContent = formatTooltipDate(date, chartType);
+      tr.appendChild(th);
+      columns.forEach(column => {
+        const d = byDate[column.panel].get(date);
+        const td = document.createElement('td');
+        td.textContent = d ? column.value(d) : '—';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    return table;
+  }
+
+  // ============================================================================
+  // COLORS
+  // ============================================================================
+
+  /**
+   * Parse a '#rgb' or '#rrggbb' color
+   * @param {string} color
+   * @returns {Array<number>|null} [r, g, b], or null for other color strings
+   */
+  function parseHexColor(color) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+
+  /**
+   * Color at a position along evenly spaced color stops. Hex colors are blended, other
+   * colors switch at the midpoint between two stops.
+   * @param {Array<string>} colors - Color stops
+   * @param {number} t - Position (0-1)
+   * @returns {string}
+   */
+  function interpolateColors(colors, t) {
+    if (colors.length === 1) return colors[0];
+    const position = t * (colors.length - 1);
+    const index = Math.min(colors.length - 2, Math.floor(position));
+    const fraction = position - index;
+    const from = parseHexColor(colors[index]);
+    const to = parseHexColor(colors[index + 1]);
+    if (!from || !to) return fraction < 0.5 ? colors[index] : colors[index + 1];
+    const rgb = from.map((c, i) => Math.round(c + (to[i] - c) * fraction));
+    return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Check whether a color option depends on the data (function, threshold list or color scale)
+   * @param {*} spec - Color option
+   * @returns {boolean}
+   */
+  function isConditionalColor(spec) {
+    return !!spec && typeof spec !== 'string';
+  }
+
+  /**
+   * Resolve a color option for one bar or segment
+   * @param {string|Function|Array|Object} spec - A color; (d, index) => color; thresholds
+   *   [{ below: 0, color }, ..., { color }] in ascending order (the first entry the value is below
+   *   wins, an entry without below matches any value); or a scale { colors: [...], domain: [min, max] }
+   * @param {Object} d - Data point passed to a function
+   * @param {number} index - Index passed to a function
+   * @param {number} value - Value compared with the thresholds and placed on the scale
+   * @param {Array<number>} domain - Scale domain for a scale without one (the y-axis range)
+   * @param {string} fallback - Color when the option gives none
+   * @returns {string}
+   */
+  function resolveColor(spec, d, index, value, domain, fallback) {
+    if (!spec) return fallback;
+    if (typeof spec === 'string') return spec;
+    if (typeof spec === 'function') return spec(d, index) || fallback;
+    if (Array.isArray(spec)) {
+      const match = spec.find(threshold => threshold.below === undefined || value < threshold.below);
+      return match && match.color ? match.color : fallback;
+    }
+    if (Array.isArray(spec.colors) && spec.colors.length > 0) {
+      const [min, max] = spec.domain || domain;
+      const t = max > min ? (value - min) / (max - min) : 0;
+      return interpolateColors(spec.colors, Math.max(0, Math.min(1, t)));
+    }
+    return fallback;
+  }
+
+  /**
+   * Single color standing for a color option, for legends, lines and the overview
+   * (a threshold list's last color, a scale's top color)
+   * @param {*} spec - Color option
+   * @param {string} fallback - Color of a function or an empty option
+   * @returns {string}
+   */
+  function baseColor(spec, fallback) {
+    if (typeof spec === 'string') return spec;
+    if (Array.isArray(spec) && spec.length > 0) return spec[spec.length - 1].color || fallback;
+    if (spec && Array.isArray(spec.colors) && spec.colors.length > 0) return spec.colors[spec.colors.length - 1];
+    return fallback;
+  }
+
+  // ============================================================================
+  // ANNOTATIONS
+  // ============================================================================
+
+  const annotationColors = {
+    line: '#e74c3c',
+    band: '#f39c12',
+    date: '#7f8c8d',
+    dateRange: '#7f8c8d'
+  };
+
+  /**
+   * Lay out a panel's annotations in plot coordinates. Dates go through the x slots of the
+   * bars, so a marker for any day of a week lands on that week's bar.
+   * @param {Array} annotations - Annotations with their dates as bucket keys ({ type, value, from, to, key, fromKey, toKey, label, color })
+   * @param {Array<string>} keys - Date keys of the x slots, in order
+   * @param {number} barStep - Width of one slot
+   * @param {Function} yScale - Value -> y position
+   * @param {number} innerWidth
+   * @param {number} innerHeight
+   * @returns {Array} Shapes { type, x, y, width, height, label, color }; lines have a width or height of 0,
+   *   annotations outside the plot are left out
+   */
+  function layoutAnnotations(annotations, keys, barStep, yScale, innerWidth, innerHeight) {
+    const clampY = y => Math.max(0, Math.min(innerHeight, y));
+    // Index of the first slot with a key >= key (or > key when after is set)
+    const slotFrom = (key, after) => {
+      const index = keys.findIndex(k => (after ? k > key : k >= key));
+      return index === -1 ? keys.length : index;
+    };
+    const shapes = [];
+
+    annotations.forEach(a => {
+      const shape = { type: a.type, label: a.label || '', color: a.color || annotationColors[a.type] };
+      if (a.type === 'line') {
+        const y = yScale(a.value);
+        if (y < 0 || y > innerHeight) return;
+        shapes.push({ ...shape, x: 0, y, width: innerWidth, height: 0 });
+      } else if (a.type === 'band') {
+        const y1 = clampY(yScale(Math.max(a.from, a.to)));
+        const y2 = clampY(yScale(Math.min(a.from, a.to)));
+        if (y2 - y1 <= 0) return;
+        shapes.push({ ...shape, x: 0, y: y1, width: innerWidth, height: y2 - y1 });
+      } else if (a.type === 'date') {
+        // On the bucket's bar, or between its neighbors when the bucket has no bar
+        const index = slotFrom(a.key);
+        if (keys[index] === a.key) {
+          shapes.push({ ...shape, x: index * barStep + barStep / 2, y: 0, width: 0, height: innerHeight });
+        } else if (index > 0 && index < keys.length) {
+          shapes.push({ ...shape, x: index * barStep, y: 0, width: 0, height: innerHeight });
+        }
+      } else if (a.type === 'dateRange') {
+        const first = slotFrom(a.fromKey);
+        const last = slotFrom(a.toKey, true) - 1;
+        if (last < first) return;
+        shapes.push({ ...shape, x: first * barStep, y: 0, width: (last - first + 1) * barStep, height: innerHeight });
+      }
+    });
+
+    return shapes;
+  }
+
+  /**
+   * Create the SVG group of laid out annotations
+   * @param {Array} shapes - From layoutAnnotations
+   * @returns {SVGGElement}
+   */
+  function renderAnnotations(shapes) {
+    const group = createSVGElement('g', { class: 'annotations' });
+    shapes.forEach(shape => {
+      const item = createSVGElement('g', { class: `annotation annotation-${shape.type}` });
+      const isLine = shape.width === 0 || shape.height === 0;
+      item.appendChild(isLine
+        ? createSVGElement('line', {
+          x1: shape.x, y1: shape.y,
+          x2: shape.x + shape.width, y2: shape.y + shape.height,
+          stroke: shape.color
+        })
+        : createSVGElement('rect', {
+          x: shape.x, y: shape.y,
+          width: shape.width, height: shape.height,
+          fill: shape.color
+        }));
+      if (shape.label) {
+        const { x, y } = annotationLabelPosition(shape);
+        const text = createSVGElement('text', { x, y, class: 'annotation-label', fill: shape.color });
+        text.textContent = shape.label;
+        item.appendChild(text);
+      }
+      group.appendChild(item);
+    });
+    return group;
+  }
+
+  /**
+   * Position of an annotation's label: above a horizontal line (below one at the top edge),
+   * inside the top of a band, next to the top of a date marker or range
+   */
+  function annotationLabelPosition(shape) {
+    if (shape.type === 'line') return { x: 4, y: shape.y < 14 ? shape.y + 12 : shape.y - 4 };
+    if (shape.type === 'band') return { x: 4, y: shape.y + 12 };
+    return { x: shape.x + 4, y: 12 };
+  }
+
   // ============================================================================
   // SINGLE CHART RENDERER
   // ============================================================================
 
+  /**
+   * Format one series' value of a multi-series panel with the number format of its y-axis
+   * @param {number} value
+   * @param {number} seriesIdx
+   * @param {Object} cfg - Panel configuration (rightAxis, seriesAxes)
+   * @param {string} numberFormat - Left axis number format
+   * @param {number} numberDecimals - Left axis decimal places
+   * @param {boolean} useThousandSeparator
+   * @returns {string}
+   */
+  function formatSeriesValue(value, seriesIdx, cfg, numberFormat, numberDecimals, useThousandSeparator) {
+    if (cfg.rightAxis && (cfg.seriesAxes || [])[seriesIdx] === 'right') {
+      return formatNumber(value, cfg.rightAxis.yAxisFormat, cfg.rightAxis.yAxisDecimals, useThousandSeparator);
+    }
+    return formatNumber(value, numberFormat, numberDecimals, useThousandSeparator);
+  }
+
+  /**
+   * Tooltip rows of a period comparison: the compared bucket's value and the change in percent
+   * @param {Object} d - Data point (with compareValue)
+   * @param {Object} cfg - Panel configuration (compareTo)
+   * @param {string} numberFormat
+   * @param {number} numberDecimals
+   * @param {boolean} useThousandSeparator
+   * @param {string} labelStyle - Style of the label cells
+   * @param {string} valueStyle - Style of the value cells
+   * @returns {string} HTML table rows ('' without a comparison)
+   */
+  function comparisonRows(d, cfg, numberFormat, numberDecimals, useThousandSeparator, labelStyle, valueStyle) {
+    if (d.compareValue === undefined) return '';
+    const previous = d.compareValue === null ? '—' : formatNumber(d.compareValue, numberFormat, numberDecimals, useThousandSeparator);
+    const change = percentChangeFrom(d.value, d.compareValue);
+    const formattedChange = change === null ? '—' : `${change > 0 ? '+' : ''}${change.toFixed(1)} %`;
+    return `<tr><td style="${labelStyle}">${compareLabels[cfg.compareTo]}:</td><td style="${valueStyle}">${previous}</td></tr><tr><td style="${labelStyle}">Change:</td><td style="${valueStyle}">${formattedChange}</td></tr>`;
+  }
+
+  /**
+   * Color dot in front of a tooltip label
+   * @param {string} color
+   * @returns {string} HTML
+   */
+  function tooltipSwatch(color) {
+    return `<span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:${color};margin-right:5px;vertical-align:middle;"></span>`;
+  }
+
+  /**
+   * Tooltip cell with a series' share of a stacked bar
+   * @param {Array<number|null>|null} shares - From getShares, or null for no share column
+   * @param {number} idx - Series index
+   * @param {string} valueStyle - Style of the value cells
+   * @param {boolean} useThousandSeparator
+   * @returns {string} HTML ('' without shares)
+   */
+  function tooltipShareCell(shares, idx, valueStyle, useThousandSeparator) {
+    if (!shares) return '';
+    const share = shares[idx] === null ? '—' : formatNumber(shares[idx], '0.0 %', 1, useThousandSeparator);
+    return `<td style="${valueStyle}">${share}</td>`;
+  }
+
   /**
    * Generate tooltip content for a data point
    * @param {Object} d - Data point
@@ -408,12 +1710,20 @@
    * @param {string} numberFormat - Number format
    * @param {number} numberDecimals - Decimal places
    * @param {boolean} useThousandSeparator - Use thousand separators
+   * @param {Array<string>|string|null} [swatches] - Computed colors: per series index for multi-series
+   *   panels, or the bar's color when it differs from the panel color
+   * @param {string} [heading='title'] - 'title': start with the panel title (synchronized tooltip),
+   *   'date': start with the bucket's date (tooltip of a single panel, whose title is shown above it)
    * @returns {string} HTML content for tooltip
    */
-  function generateTooltipContent(d, cfg, numberFormat, numberDecimals, useThousandSeparator) {
+  function generateTooltipContent(d, cfg, numberFormat, numberDecimals, useThousandSeparator, swatches = null, heading = 'title') {
     const tableStyle = 'border-collapse:collapse;width:100%;';
     const labelStyle = 'text-align:left;padding-right:10px;';
     const valueStyle = 'text-align:right;font-weight:500;';
+    const avgLabel = cfg.aggregationLabel || getAggregationLabel(cfg.aggregation, 'Avg');
+    const valueLabel = cfg.aggregationLabel || getAggregationLabel(cfg.aggregation, 'Value');
+    const dateHeading = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong>`;
+    const titleHeading = cfg.title && heading === 'title' ? `<strong>${cfg.title}</strong><br>` : '';
     
     if (cfg.tooltipFormatter && typeof cfg.tooltipFormatter === 'function') {
       return cfg.tooltipFormatter(d, cfg);
@@ -421,73 +1731,118 @@
       const formattedHigh = formatNumber(d.highValue, numberFormat, numberDecimals, useThousandSeparator);
       const formattedLow = formatNumber(d.lowValue, numberFormat, numberDecimals, useThousandSeparator);
       const formattedAvg = formatNumber(d.value, numberFormat, numberDecimals, useThousandSeparator);
-      const title = cfg.title ? `<strong>${cfg.title}</strong><br>` : '';
-      return `${title}<table style="${tableStyle}"><tr><td style="${labelStyle}">High:</td><td style="${valueStyle}">${formattedHigh}</td></tr><tr><td style="${labelStyle}">Low:</td><td style="${valueStyle}">${formattedLow}</td></tr><tr><td style="${labelStyle}">Avg:</td><td style="${valueStyle}">${formattedAvg}</td></tr></table>`;
-    } else if (cfg.renderType === 'staggered' || cfg.renderType === 'stacked') {
+      const title = heading === 'date' ? dateHeading : titleHeading;
+      const comparison = comparisonRows(d, cfg, numberFormat, numberDecimals, useThousandSeparator, labelStyle, valueStyle);
+      const swatch = swatches ? tooltipSwatch(swatches) : '';
+      return `${title}<table style="${tableStyle}"><tr><td style="${labelStyle}">${swatch}High:</td><td style="${valueStyle}">${formattedHigh}</td></tr><tr><td style="${labelStyle}">Low:</td><td style="${valueStyle}">${formattedLow}</td></tr><tr><td style="${labelStyle}">${avgLabel}:</td><td style="${valueStyle}">${formattedAvg}</td></tr>${comparison}</table>`;
+    } else if (isMultiSeries(cfg.renderType)) {
       const values = d.values || [];
       const yAxisLabels = cfg.yAxisLabels || [];
       const colors = cfg.staggeredColors || ['#4a90d9', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
-      const title = cfg.title ? `<strong>${cfg.title}</strong><br>` : '';
-      let html = title + `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><hr style="margin:4px 0;border:none;border-top:1px solid #ccc;"><table style="${tableStyle}">`;
+      const hiddenSeries = new Set(cfg.hiddenSeries || []);
+      let html = titleHeading + dateHeading + `<hr style="margin:4px 0;border:none;border-top:1px solid #ccc;"><table style="${tableStyle}">`;
       let total = 0;
-      values.forEach((val, idx) => {
+      // Stacked: each series' share of the bar next to its value
+      const shares = cfg.renderType === 'stacked' ? getShares(values, hiddenSeries) : null;
+      // Stacked: top series first, so the rows follow the stack
+      const shownIndices = [...Array(values.length).keys()].filter(idx => !hiddenSeries.has(idx));
+      const indices = cfg.renderType === 'stacked' ? shownIndices.reverse() : shownIndices;
+      indices.forEach(idx => {
+        const val = values[idx];
         const label = yAxisLabels[idx] || `Series ${idx + 1}`;
-        const color = colors[idx % colors.length];
-        const circle = `<span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:${color};margin-right:5px;vertical-align:middle;"></span>`;
+        const circle = tooltipSwatch(swatches ? swatches[idx] : colors[idx % colors.length]);
+        const share = tooltipShareCell(shares, idx, valueStyle, useThousandSeparator);
         if (val !== null && val !== undefined) {
-          html += `<tr><td style="${labelStyle}">${circle}${label}:</td><td style="${valueStyle}">${formatNumber(val, numberFormat, numberDecimals, useThousandSeparator)}</td></tr>`;
+          html += `<tr><td style="${labelStyle}">${circle}${label}:</td><td style="${valueStyle}">${formatSeriesValue(val, idx, cfg, numberFormat, numberDecimals, useThousandSeparator)}</td>${share}</tr>`;
           total += val;
         } else {
-          html += `<tr><td style="${labelStyle}">${circle}${label}:</td><td style="${valueStyle}">—</td></tr>`;
+          html += `<tr><td style="${labelStyle}">${circle}${label}:</td><td style="${valueStyle}">—</td>${share}</tr>`;
         }
       });
-      html += `<tr><td style="${labelStyle}"><strong>Total:</strong></td><td style="${valueStyle}"><strong>${formatNumber(total, numberFormat, numberDecimals, useThousandSeparator)}</strong></td></tr></table>`;
+      // No total for a combo panel (e.g. values and their average) or values on two axes
+      if (cfg.renderType !== 'combo' && !cfg.rightAxis) {
+        html += `<tr><td style="${labelStyle}"><strong>Total:</strong></td><td style="${valueStyle}"><strong>${formatNumber(total, numberFormat, numberDecimals, useThousandSeparator)}</strong></td>${shares ? '<td></td>' : ''}</tr>`;
+      }
+      html += '</table>';
       return html;
     } else {
       const formattedValue = formatNumber(d.value, numberFormat, numberDecimals, useThousandSeparator);
-      const title = cfg.title ? `<strong>${cfg.title}</strong><br>` : '';
-      return `${title}<table style="${tableStyle}"><tr><td style="${labelStyle}">Value:</td><td style="${valueStyle}">${formattedValue}</td></tr></table>`;
+      const title = heading === 'date' ? dateHeading : titleHeading;
+      const comparison = comparisonRows(d, cfg, numberFormat, numberDecimals, useThousandSeparator, labelStyle, valueStyle);
+      const swatch = swatches ? tooltipSwatch(swatches) : '';
+      return `${title}<table style="${tableStyle}"><tr><td style="${labelStyle}">${swatch}${valueLabel}:</td><td style="${valueStyle}">${formattedValue}</td></tr>${comparison}</table>`;
     }
   }
 
   /**
-   * Render a single chart panel (for use in multi-chart or standalone)
-   * @param {Object} cfg - Chart configuration
-   * @param {Array} aggregatedData - Pre-aggregated data
-   * @param {number} barStep - Bar step width
-   * @param {number} barWidth - Bar width
-   * @param {Object} tooltip - Shared tooltip element
-   * @param {boolean} multiChartMode - If true, hover is managed externally
-   * @returns {Object} { yAxisSvg, chartSvg, hoverData }
+   * Pick the minor tick values of a log10 axis. Each interval between major ticks gets
+   * intermediates (2x..9x): up to 4 in the bottom interval, none in the top one. Values
+   * within 2% of the chart height of a major tick are dropped.
+   * @param {Array<number>} tickValues - Major tick values
+   * @param {number} minValue - Domain minimum
+   * @param {number} maxValue - Domain maximum
+   * @param {Function} yScale - Value -> y position
+   * @param {number} innerHeight - Plot height
+   * @returns {Array<number>}
    */
-  function renderChartPanel(cfg, aggregatedData, barStep, barWidth, tooltip, multiChartMode = false) {
-    const { innerWidth, innerHeight, margin } = cfg;
-    const useLogScale = cfg.yAxisScale === 'log10';
-    const numberFormat = cfg.yAxisFormat || 'none';
-    const numberDecimals = cfg.yAxisDecimals !== undefined ? cfg.yAxisDecimals : 2;
-    const useThousandSeparator = cfg.useThousandSeparator !== false; // default true
+  function getLogMinorTicks(tickValues, minValue, maxValue, yScale, innerHeight) {
+    const sortedTicks = [...tickValues].sort((a, b) => a - b);
+    const numIntervals = sortedTicks.length - 1;
+    const minDistance = innerHeight * 0.02;
+    const majorTickYs = sortedTicks.map(t => yScale(t));
+    const minorTicks = [];
+
+    for (let i = 0; i < numIntervals; i++) {
+      const lowerTick = sortedTicks[i];
+      const upperTick = sortedTicks[i + 1];
+      // 4 at the bottom, 0 at the top, interpolated in between
+      const maxCount = Math.round(4 * (1 - i / Math.max(1, numIntervals - 1)));
+      if (maxCount === 0) continue;
+
+      // Collect all possible intermediate values across all decades in this interval
+      const allIntermediates = [];
+      const lowerDecade = Math.floor(Math.log10(lowerTick));
+      const upperDecade = Math.floor(Math.log10(upperTick));
+      for (let decade = lowerDecade; decade <= upperDecade; decade++) {
+        const baseValue = Math.pow(10, decade);
+        [2, 3, 4, 5, 6, 7, 8, 9].forEach(mult => {
+          const value = baseValue * mult;
+          if (value > lowerTick && value < upperTick && value > minValue && value < maxValue) {
+            allIntermediates.push(value);
+          }
+        });
+      }
 
-    // Calculate Y scale
-    let minValue, maxValue;
-    const startAtZero = cfg.yAxisStartAtZero !== false; // default true
-    if (cfg.renderType === 'high-low') {
-      minValue = Math.min(...aggregatedData.map(d => d.lowValue));
-      maxValue = Math.max(...aggregatedData.map(d => d.highValue));
-    } else if (cfg.renderType === 'staggered') {
-      // For staggered charts, find min/max across all values arrays
-      const allValues = aggregatedData.flatMap(d => (d.values || []).filter(v => v !== null && v !== undefined));
-      minValue = startAtZero ? 0 : Math.min(...allValues);
-      maxValue = Math.max(...allValues);
-    } else if (cfg.renderType === 'stacked') {
-      // For stacked charts, max is the sum of all values in each data point
-      const sums = aggregatedData.map(d => (d.values || []).filter(v => v !== null && v !== undefined).reduce((a, b) => a + b, 0));
-      minValue = startAtZero ? 0 : Math.min(...sums);
-      maxValue = Math.max(...sums);
-    } else {
-      minValue = startAtZero ? 0 : Math.min(...aggregatedData.map(d => d.value));
-      maxValue = Math.max(...aggregatedData.map(d => d.value));
+      // Select evenly spaced values up to maxCount
+      let selectedValues = allIntermediates;
+      if (allIntermediates.length > maxCount) {
+        selectedValues = [];
+        for (let j = 0; j < maxCount; j++) {
+          const idx = Math.round(j * (allIntermediates.length - 1) / (maxCount - 1));
+          selectedValues.push(allIntermediates[idx]);
+        }
+      }
+
+      // Skip values too close to a major tick
+      selectedValues.forEach(value => {
+        const y = yScale(value);
+        if (majorTickYs.every(tickY => Math.abs(y - tickY) > minDistance)) minorTicks.push(value);
+      });
     }
 
+    return minorTicks;
+  }
+
+  /**
+   * Y scale of a panel axis: nice linear ticks, or powers of 10 for log10. The domain is
+   * widened to the outer ticks.
+   * @param {number} minValue - Smallest value to show
+   * @param {number} maxValue - Largest value to show
+   * @param {boolean} useLogScale - log10 instead of linear
+   * @param {number} innerHeight - Plot height
+   * @returns {Object} { minValue, maxValue, tickValues, yScale, useLogScale }
+   */
+  function buildYScale(minValue, maxValue, useLogScale, innerHeight) {
     // For log scale, ensure minValue is positive
     const tickCount = 5;
     let tickValues = [];
@@ -561,12 +1916,19 @@
         minValue = Math.floor(minValue / niceStep) * niceStep;
       }
       
-      // Adjust maxValue up to be minValue + (tickCount * niceStep)
-      maxValue = minValue + (tickCount * niceStep);
+      // Adjust maxValue up to be minValue + (tickCount * niceStep), plus a step for each one
+      // that rounding minValue down moved the top tick below the data
+      let intervals = tickCount;
+      while (niceStep > 0 && minValue + intervals * niceStep < maxValue) {
+        intervals++;
+      }
+      maxValue = minValue + (intervals * niceStep);
       
-      // Generate ticks using nice step
-      for (let i = 0; i <= tickCount; i++) {
-        tickValues.push(minValue + niceStep * i);
+      // Generate ticks using nice step (multiples of it, so a domain across zero has a 0 tick;
+      // snap it to exactly 0 against floating point noise)
+      for (let i = 0; i <= intervals; i++) {
+        const value = minValue + niceStep * i;
+        tickValues.push(Math.abs(value) < niceStep * 1e-9 ? 0 : value);
       }
     }
 
@@ -585,15 +1947,42 @@
       }
     };
 
-    // Create Y-axis SVG (sticky)
+    return { minValue, maxValue, tickValues, yScale, useLogScale };
+  }
+
+  /**
+   * Get the y position bars grow from: the zero line, or the plot edge nearest to it
+   * @param {Object} scale - Scale from buildYScale
+   * @param {number} innerHeight
+   * @returns {number}
+   */
+  function getBaseline(scale, innerHeight) {
+    if (scale.useLogScale) return innerHeight;
+    return scale.yScale(Math.max(scale.minValue, Math.min(scale.maxValue, 0)));
+  }
+
+  /**
+   * Render a sticky y-axis of a panel: axis line, ticks, labels and title
+   * @param {Object} scale - From buildYScale
+   * @param {Object} axis - { side: 'left' or 'right', width, label, format, decimals, useThousandSeparator }
+   * @param {number} innerHeight - Plot height
+   * @param {Object} margin - Chart margins
+   * @returns {SVGElement}
+   */
+  function renderYAxis(scale, axis, innerHeight, margin) {
+    const { minValue, maxValue, tickValues, yScale, useLogScale } = scale;
+    const isRight = axis.side === 'right';
+    const dir = isRight ? 1 : -1; // Ticks and labels point away from the plot
+
     const yAxisSvg = createSVGElement('svg', {
-      width: margin.left,
+      width: axis.width,
       height: innerHeight + margin.top + margin.bottom,
-      class: 'barchart-yaxis'
+      class: isRight ? 'barchart-yaxis barchart-yaxis-right' : 'barchart-yaxis',
+      'aria-hidden': 'true'
     });
 
     const yAxisGroup = createSVGElement('g', {
-      transform: `translate(${margin.left - 1}, ${margin.top})`
+      transform: `translate(${isRight ? 0 : axis.width - 1}, ${margin.top})`
     });
     yAxisSvg.appendChild(yAxisGroup);
 
@@ -604,124 +1993,289 @@
     }));
 
     // Render ticks (from top to bottom, so reverse the order)
-    // tickValues was already generated above
     const actualTickCount = tickValues.length - 1;
     [...tickValues].reverse().forEach((value, i) => {
       // For log scale, use yScale to get correct position; for linear, use even spacing
       const y = useLogScale ? yScale(value) : (innerHeight / actualTickCount) * i;
 
       yAxisGroup.appendChild(createSVGElement('line', {
-        x1: -5, y1: y, x2: 0, y2: y,
+        x1: dir * 5, y1: y, x2: 0, y2: y,
         class: 'axis-tick'
       }));
 
       const label = createSVGElement('text', {
-        x: -10, y: y + 4,
+        x: dir * 10, y: y + 4,
         class: 'axis-label',
-        'text-anchor': 'end'
+        'text-anchor': isRight ? 'start' : 'end'
       });
-      label.textContent = formatNumber(value, numberFormat, numberDecimals, useThousandSeparator);
+      label.textContent = formatNumber(value, axis.format, axis.decimals, axis.useThousandSeparator);
       yAxisGroup.appendChild(label);
     });
     
     // For log scale, add minor tick marks on y-axis
-    // Number of intermediates depends on position: bottom sections get more, top sections get fewer
     if (useLogScale && tickValues.length > 1) {
-      // tickValues is already reversed (high to low), use original order (low to high)
-      const sortedTicks = [...tickValues].sort((a, b) => a - b);
-      const numIntervals = sortedTicks.length - 1;
-      
-      // Calculate max intermediates based on position (0 = bottom, numIntervals-1 = top)
-      // Bottom gets max 4 lines, top gets 0 lines, interpolate in between
-      function getMaxIntermediatesForPosition(position) {
-        // position 0 = bottom (most lines), position numIntervals-1 = top (no lines)
-        const ratio = position / Math.max(1, numIntervals - 1);
-        return Math.round(4 * (1 - ratio)); // 4 at bottom, 0 at top
-      }
-      
-      // For each interval between ticks, collect all possible intermediates and limit to max
-      for (let i = 0; i < sortedTicks.length - 1; i++) {
-        const lowerTick = sortedTicks[i];
-        const upperTick = sortedTicks[i + 1];
-        const maxCount = getMaxIntermediatesForPosition(i);
-        
-        if (maxCount === 0) continue;
-        
-        // Collect all possible intermediate values across all decades in this interval
-        const allIntermediates = [];
-        const lowerDecade = Math.floor(Math.log10(lowerTick));
-        const upperDecade = Math.floor(Math.log10(upperTick));
-        const multipliers = [2, 3, 4, 5, 6, 7, 8, 9];
-        
-        for (let decade = lowerDecade; decade <= upperDecade; decade++) {
-          const baseValue = Math.pow(10, decade);
-          multipliers.forEach(mult => {
-            const value = baseValue * mult;
-            if (value > lowerTick && value < upperTick && value > minValue && value < maxValue) {
-              allIntermediates.push(value);
-            }
-          });
-        }
-        
-        // Select evenly spaced values up to maxCount
-        let selectedValues = allIntermediates;
-        if (allIntermediates.length > maxCount) {
-          selectedValues = [];
-          for (let j = 0; j < maxCount; j++) {
-            const idx = Math.round(j * (allIntermediates.length - 1) / (maxCount - 1));
-            selectedValues.push(allIntermediates[idx]);
-          }
-        }
-        
-        // Filter out values too close to major ticks (within 5% of interval in pixels)
-        const minDistance = innerHeight * 0.02; // 2% of chart height
-        const majorTickYs = sortedTicks.map(t => yScale(t));
-        selectedValues = selectedValues.filter(value => {
-          const y = yScale(value);
-          return majorTickYs.every(tickY => Math.abs(y - tickY) > minDistance);
-        });
-        
-        // Draw the selected intermediate ticks
-        selectedValues.forEach(value => {
-          const y = yScale(value);
-          // Shorter tick for minor values (only 3px instead of 5px)
-          yAxisGroup.appendChild(createSVGElement('line', {
-            x1: -3, y1: y, x2: 0, y2: y,
-            class: 'axis-tick axis-tick-minor'
-          }));
-        });
-      }
+      getLogMinorTicks(tickValues, minValue, maxValue, yScale, innerHeight).forEach(value => {
+        const y = yScale(value);
+        // Shorter tick for minor values (only 3px instead of 5px)
+        yAxisGroup.appendChild(createSVGElement('line', {
+          x1: dir * 3, y1: y, x2: 0, y2: y,
+          class: 'axis-tick axis-tick-minor'
+        }));
+      });
     }
 
-    // Y axis label
-    if (cfg.yAxisLabel) {
+    // Y axis label (reads bottom-up on the left, top-down on the right)
+    if (axis.label) {
       const yLabel = createSVGElement('text', {
-        transform: 'rotate(-90)',
-        x: -innerHeight / 2 - margin.top,
-        y: 15,
+        transform: isRight ? 'rotate(90)' : 'rotate(-90)',
+        x: dir * (innerHeight / 2 + margin.top),
+        y: isRight ? 15 - axis.width : 15,
         class: 'axis-title',
         'text-anchor': 'middle'
       });
-      yLabel.textContent = cfg.yAxisLabel;
+      yLabel.textContent = axis.label;
       yAxisSvg.appendChild(yLabel);
     }
 
+    return yAxisSvg;
+  }
+
+  /**
+   * Whether a render type draws a line through the bar centers instead of bars
+   * @param {string} renderType
+   * @returns {boolean}
+   */
+  function isLineType(renderType) {
+    return renderType === 'line' || renderType === 'area' || renderType === 'step';
+  }
+
+  /**
+   * Whether a render type has a values array per bucket (one value per series)
+   * @param {string} renderType
+   * @returns {boolean}
+   */
+  function isMultiSeries(renderType) {
+    return renderType === 'staggered' || renderType === 'stacked' || renderType === 'combo';
+  }
+
+  /**
+   * Whether a normalized series has any data (in any of its sources, for merged series)
+   * @param {Object} seriesCfg - From normalizeSeries
+   * @returns {boolean}
+   */
+  function hasData(seriesCfg) {
+    return (seriesCfg.sources || [seriesCfg]).some(source => source.data && source.data.length > 0);
+  }
+
+  /**
+   * Each series' share of a stacked bar, in percent of the absolute total of the shown values
+   * @param {Array<number|null>} values - Values of one bucket
+   * @param {Set<number>} hiddenSeries - Series left out of the total
+   * @returns {Array<number|null>} null for hidden and missing values (0 if the total is 0)
+   */
+  function getShares(values, hiddenSeries) {
+    const shown = idx => !hiddenSeries.has(idx) && values[idx] !== null && values[idx] !== undefined;
+    const total = values.reduce((sum, v, idx) => (shown(idx) ? sum + Math.abs(v) : sum), 0);
+    return values.map((v, idx) => {
+      if (!shown(idx)) return null;
+      return total === 0 ? 0 : (v / total) * 100;
+    });
+  }
+
+  /**
+   * Vertices of a line, area or step series. Steps run flat across each slot
+   * @param {Array} points - { x (slot center), left, right, y }
+   * @param {string} type - 'line', 'area' or 'step'
+   * @returns {Array} [x, y] pairs
+   */
+  function getLineVertices(points, type) {
+    if (type !== 'step') return points.map(p => [p.x, p.y]);
+    return points.flatMap(p => [[p.left, p.y], [p.right, p.y]]);
+  }
+
+  // Widest canvas (in device pixels) that browsers reliably allocate
+  const maxCanvasSize = 32767;
+
+  /**
+   * Render a single chart panel (for use in multi-chart or standalone)
+   * @param {Object} cfg - Chart configuration (cfg.viewport: initially visible { left, width }, for virtualized bars)
+   * @param {Array} aggregatedData - Pre-aggregated data
+   * @param {number} barStep - Bar step width
+   * @param {number} barWidth - Bar width
+   * @param {Object} tooltip - Shared tooltip element
+   * @param {boolean} multiChartMode - If true, hover is managed externally
+   * @param {Map} [slotIndex] - Date key -> x slot in the shared date domain (defaults to array index)
+   * @returns {Object} { yAxisSvg, rightAxisSvg, chartSvg, hoverData } - chartSvg is a div with a canvas when cfg.renderer is
+   *   'canvas'; rightAxisSvg is null without cfg.rightAxis
+   */
+  function renderChartPanel(cfg, aggregatedData, barStep, barWidth, tooltip, multiChartMode = false, slotIndex = null) {
+    const { innerHeight, margin } = cfg;
+    // The data, the slot count, the width and the bar layout change when hoverData.prepareUpdate()
+    // redraws the panel in place
+    let innerWidth = cfg.innerWidth;
+    const slotOf = (d, i) => (slotIndex && slotIndex.has(d.date) ? slotIndex.get(d.date) : i);
+    let slotCount = slotIndex ? slotIndex.size : aggregatedData.length;
+    const useCanvas = cfg.renderer === 'canvas';
+    const useLogScale = cfg.yAxisScale === 'log10';
+    const numberFormat = cfg.yAxisFormat || 'none';
+    const numberDecimals = cfg.yAxisDecimals !== undefined ? cfg.yAxisDecimals : 2;
+    const useThousandSeparator = cfg.useThousandSeparator !== false; // default true
+    // Series hidden through the legend are left out of the scale, the bars and the totals
+    const hiddenSeries = new Set(cfg.hiddenSeries || []);
+    const visibleValues = d => (d.values || []).filter((v, idx) => !hiddenSeries.has(idx) && v !== null && v !== undefined);
+    // Series on the secondary right y-axis (staggered/combo panels with cfg.rightAxis)
+    const rightAxis = cfg.rightAxis || null;
+    const isRightSeries = idx => rightAxis !== null && (cfg.seriesAxes || [])[idx] === 'right';
+
+    // Y scales of a data set: { scale, rightScale } (rightScale is null without cfg.rightAxis)
+    function getScales(data) {
+      const axisValues = (right, includeHidden) => data.flatMap(d => (d.values || []).filter((v, idx) => (
+        (includeHidden || !hiddenSeries.has(idx)) && v !== null && v !== undefined && isRightSeries(idx) === right
+      )));
+      // Values that set an axis' range: its visible series, or all of its series while they are hidden
+      const axisRange = right => [axisValues(right, false), axisValues(right, true), data.flatMap(visibleValues)]
+        .find(values => values.length > 0) || [];
+
+      // Calculate Y scale
+      let minValue, maxValue;
+      const startAtZero = cfg.yAxisStartAtZero !== false; // default true
+      if (cfg.renderType === 'high-low') {
+        minValue = Math.min(...data.map(d => d.lowValue));
+        maxValue = Math.max(...data.map(d => d.highValue));
+      } else if (cfg.renderType === 'staggered' || cfg.renderType === 'combo') {
+        // For staggered and combo charts, find min/max across all values arrays (of the left axis)
+        const allValues = axisRange(false);
+        minValue = startAtZero ? Math.min(0, ...allValues) : Math.min(...allValues);
+        maxValue = startAtZero ? Math.max(0, ...allValues) : Math.max(...allValues);
+      } else if (cfg.renderType === 'stacked') {
+        // For stacked charts, positive values stack above zero and negative values below it
+        // (normalized: shares in percent, rounded so a full bar is exactly 100)
+        const stacks = data.map(d => {
+          const values = cfg.normalize ? getShares(d.values || [], hiddenSeries).filter(v => v !== null) : visibleValues(d);
+          const round = v => (cfg.normalize ? Math.round(v * 1e6) / 1e6 : v);
+          const positive = round(values.filter(v => v > 0).reduce((a, b) => a + b, 0));
+          const negative = round(values.filter(v => v < 0).reduce((a, b) => a + b, 0));
+          return { low: negative < 0 ? negative : positive, high: positive > 0 ? positive : negative };
+        });
+        minValue = startAtZero ? Math.min(0, ...stacks.map(st => st.low)) : Math.min(...stacks.map(st => st.low));
+        maxValue = startAtZero ? Math.max(0, ...stacks.map(st => st.high)) : Math.max(...stacks.map(st => st.high));
+      } else {
+        // Ghost bars (or lines) of a period comparison share the scale
+        const values = data.flatMap(d => (
+          d.compareValue !== undefined && d.compareValue !== null ? [d.value, d.compareValue] : [d.value]
+        ));
+        minValue = startAtZero ? Math.min(0, ...values) : Math.min(...values);
+        maxValue = startAtZero ? Math.max(0, ...values) : Math.max(...values);
+      }
+
+      // Reference lines (annotations) stay in view
+      const lineValues = (cfg.annotations || [])
+        .filter(a => a.type === 'line' && (!useLogScale || a.value > 0))
+        .map(a => a.value);
+      if (lineValues.length > 0) {
+        minValue = Math.min(minValue, ...lineValues);
+        maxValue = Math.max(maxValue, ...lineValues);
+      }
+
+      // Secondary right y-axis with its own scale
+      let rightScale = null;
+      if (rightAxis) {
+        const values = axisRange(true);
+        const rightStartAtZero = rightAxis.yAxisStartAtZero !== false;
+        const rightMin = rightStartAtZero ? Math.min(0, ...values) : Math.min(...values);
+        const rightMax = rightStartAtZero ? Math.max(0, ...values) : Math.max(...values);
+        rightScale = buildYScale(rightMin, rightMax, rightAxis.yAxisScale === 'log10', innerHeight);
+      }
+      return { scale: buildYScale(minValue, maxValue, useLogScale, innerHeight), rightScale };
+    }
+
+    const { scale, rightScale } = getScales(aggregatedData);
+    const { tickValues, yScale, minValue, maxValue } = scale;
+    const actualTickCount = tickValues.length - 1;
+
+    // Create Y-axis SVG (sticky)
+    const yAxisSvg = renderYAxis(scale, {
+      side: 'left',
+      width: margin.left,
+      label: cfg.yAxisLabel,
+      format: cfg.normalize ? '0.0 %' : numberFormat,
+      decimals: numberDecimals,
+      useThousandSeparator
+    }, innerHeight, margin);
+
+    // Secondary right y-axis (as wide as the left one)
+    const rightAxisSvg = rightAxis ? renderYAxis(rightScale, {
+      side: 'right',
+      width: margin.left,
+      label: rightAxis.yAxisLabel,
+      format: rightAxis.yAxisFormat,
+      decimals: rightAxis.yAxisDecimals,
+      useThousandSeparator
+    }, innerHeight, margin) : null;
+    const scaleOf = idx => (isRightSeries(idx) ? rightScale.yScale : yScale);
+
+    // Bars grow up or down from the zero line of their axis
+    const baseline = getBaseline(scale, innerHeight);
+    const baselineOf = idx => (isRightSeries(idx) ? getBaseline(rightScale, innerHeight) : baseline);
+    const barSpan = (y, base) => ({ y: Math.min(y, base), height: Math.max(1, Math.abs(base - y)) });
+    // Stacked segments: positive values stack up from zero, negative values down
+    // (with normalize, each series' share of the bar in percent, so bars fill the panel)
+    const stackValues = d => (cfg.normalize ? getShares(d.values || [], hiddenSeries) : d.values || []);
+    const stackSegments = d => {
+      let positive = 0;
+      let negative = 0;
+      const segments = [];
+      stackValues(d).forEach((val, seriesIdx) => {
+        if (val === null || val === undefined || val === 0 || hiddenSeries.has(seriesIdx)) return; // skip null/zero/hidden values
+        const start = val > 0 ? positive : negative;
+        if (val > 0) positive += val;
+        else negative += val;
+        segments.push({ seriesIdx, start, end: start + val });
+      });
+      return segments;
+    };
+
     // Create chart SVG (scrollable)
     // Use minimal gap (5px) between y-axis and chart area
     const chartGap = 5;
-    const chartSvg = createSVGElement('svg', {
-      width: innerWidth + chartGap + margin.right,
-      height: innerHeight + margin.top + margin.bottom,
-      class: 'barchart-chart'
-    });
+    let chartWidth = innerWidth + chartGap + margin.right;
+    const chartHeight = innerHeight + margin.top + margin.bottom;
+    let chartSvg;
+    let canvas = null;
+
+    if (useCanvas) {
+      // Canvas renderer: grid and bars go on a canvas; an SVG overlay keeps the hover indicator
+      chartSvg = document.createElement('div');
+      chartSvg.className = 'barchart-chart barchart-canvas-chart';
+      chartSvg.style.width = chartWidth + 'px';
+      chartSvg.style.height = chartHeight + 'px';
+      chartSvg.setAttribute('role', 'img');
+      chartSvg.setAttribute('aria-label', describePanel(cfg, aggregatedData));
+
+      canvas = document.createElement('canvas');
+      canvas.className = 'barchart-canvas';
+      chartSvg.appendChild(canvas);
+    }
+
+    const overlaySvg = createSVGElement('svg', useCanvas
+      ? { width: chartWidth, height: chartHeight, class: 'barchart-chart-overlay' }
+      : {
+        width: chartWidth,
+        height: chartHeight,
+        class: 'barchart-chart',
+        role: 'img',
+        'aria-label': describePanel(cfg, aggregatedData)
+      });
+    if (useCanvas) chartSvg.appendChild(overlaySvg);
+    else chartSvg = overlaySvg;
 
     const chartGroup = createSVGElement('g', {
       transform: `translate(${chartGap}, ${margin.top})`
     });
-    chartSvg.appendChild(chartGroup);
+    overlaySvg.appendChild(chartGroup);
 
     // Draw grid
-    if (cfg.showGrid) {
+    if (cfg.showGrid && !useCanvas) {
       const gridGroup = createSVGElement('g', { class: 'grid' });
       
       // Draw main grid lines at tick positions
@@ -734,81 +2288,65 @@
       });
       
       // For log scale, draw intermediate grid lines between major ticks
-      // Number of intermediates depends on position: bottom sections get more, top sections get fewer
       if (useLogScale && tickValues.length > 1) {
-        // tickValues is already reversed (high to low), use original order (low to high)
-        const sortedTicks = [...tickValues].sort((a, b) => a - b);
-        const numIntervals = sortedTicks.length - 1;
-        
-        // Calculate max intermediates based on position (0 = bottom, numIntervals-1 = top)
-        // Bottom gets max 4 lines, top gets 0 lines, interpolate in between
-        function getMaxIntermediatesForPosition(position) {
-          // position 0 = bottom (most lines), position numIntervals-1 = top (no lines)
-          const ratio = position / Math.max(1, numIntervals - 1);
-          return Math.round(4 * (1 - ratio)); // 4 at bottom, 0 at top
-        }
-        
-        // For each interval between ticks, collect all possible intermediates and limit to max
-        for (let i = 0; i < sortedTicks.length - 1; i++) {
-          const lowerTick = sortedTicks[i];
-          const upperTick = sortedTicks[i + 1];
-          const maxCount = getMaxIntermediatesForPosition(i);
-          
-          if (maxCount === 0) continue;
-          
-          // Collect all possible intermediate values across all decades in this interval
-          const allIntermediates = [];
-          const lowerDecade = Math.floor(Math.log10(lowerTick));
-          const upperDecade = Math.floor(Math.log10(upperTick));
-          const multipliers = [2, 3, 4, 5, 6, 7, 8, 9];
-          
-          for (let decade = lowerDecade; decade <= upperDecade; decade++) {
-            const baseValue = Math.pow(10, decade);
-            multipliers.forEach(mult => {
-              const value = baseValue * mult;
-              if (value > lowerTick && value < upperTick && value > minValue && value < maxValue) {
-                allIntermediates.push(value);
-              }
-            });
-          }
-          
-          // Select evenly spaced values up to maxCount
-          let selectedValues = allIntermediates;
-          if (allIntermediates.length > maxCount) {
-            selectedValues = [];
-            for (let j = 0; j < maxCount; j++) {
-              const idx = Math.round(j * (allIntermediates.length - 1) / (maxCount - 1));
-              selectedValues.push(allIntermediates[idx]);
-            }
-          }
-          
-          // Filter out values too close to major ticks (within 2% of chart height)
-          const minDistance = innerHeight * 0.02;
-          const majorTickYs = sortedTicks.map(t => yScale(t));
-          selectedValues = selectedValues.filter(value => {
-            const y = yScale(value);
-            return majorTickYs.every(tickY => Math.abs(y - tickY) > minDistance);
-          });
-          
-          // Draw the selected intermediate grid lines
-          selectedValues.forEach(value => {
-            const y = yScale(value);
-            gridGroup.appendChild(createSVGElement('line', {
-              x1: 0, y1: y, x2: innerWidth, y2: y,
-              class: 'grid-line grid-line-minor'
-            }));
-          });
-        }
+        getLogMinorTicks(tickValues, minValue, maxValue, yScale, innerHeight).forEach(value => {
+          const y = yScale(value);
+          gridGroup.appendChild(createSVGElement('line', {
+            x1: 0, y1: y, x2: innerWidth, y2: y,
+            class: 'grid-line grid-line-minor'
+          }));
+        });
       }
       
       chartGroup.appendChild(gridGroup);
     }
 
+    // Annotations, between the grid and the bars
+    const layoutPanelAnnotations = () => layoutAnnotations(
+      cfg.annotations || [],
+      slotIndex ? Array.from(slotIndex.keys()) : aggregatedData.map(d => d.date),
+      barStep, yScale, innerWidth, innerHeight
+    );
+    let annotationShapes = layoutPanelAnnotations();
+    if (!useCanvas && annotationShapes.length > 0) {
+      chartGroup.appendChild(renderAnnotations(annotationShapes));
+    }
+
     // Draw bars
     const barsGroup = createSVGElement('g', { class: 'bars' });
+    const seriesColors = cfg.staggeredColors || ['#4a90d9', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
+    // Colors may depend on the value (see resolveColor); scales without a domain span the y-axis
+    const colorSpec = cfg.renderType === 'high-low' ? cfg.highLowColor : cfg.barColor;
+    const defaultColor = cfg.renderType === 'high-low' ? '#2c5aa0' : '#4a90d9';
+    const panelColor = baseColor(colorSpec, defaultColor);
+    const barColorOf = (d, i) => (!isConditionalColor(colorSpec) && cfg.negativeColor && d.value < 0
+      ? cfg.negativeColor
+      : resolveColor(colorSpec, d, i, d.value, [minValue, maxValue], defaultColor));
+    const seriesColorOf = (d, i, seriesIdx) => {
+      const value = (d.values || [])[seriesIdx];
+      const axis = isRightSeries(seriesIdx) ? rightScale : scale;
+      return resolveColor(seriesColors[seriesIdx % seriesColors.length], { date: d.date, value, seriesIndex: seriesIdx }, i,
+        value, [axis.minValue, axis.maxValue], baseColor(seriesColors[seriesIdx % seriesColors.length], defaultColor));
+    };
+    // Tooltip swatches: each series' color, or the bar's own color when it differs from the panel color
+    const tooltipSwatches = (d, i) => {
+      if (isMultiSeries(cfg.renderType)) {
+        return (d.values || []).map((v, idx) => (v === null || v === undefined
+          ? baseColor(seriesColors[idx % seriesColors.length], defaultColor)
+          : seriesColorOf(d, i, idx)));
+      }
+      const color = barColorOf(d, i);
+      return isConditionalColor(colorSpec) || color !== panelColor ? color : null;
+    };
+    // Series of a combo panel drawn as a line, area or step instead of bars
+    const isLineSeries = idx => cfg.renderType === 'combo' && isLineType((cfg.seriesTypes || [])[idx]);
 
-    aggregatedData.forEach((d, i) => {
-      const x = i * barStep + (barStep - barWidth) / 2;
+    // Create the SVG nodes of one bar (before: node to insert them before instead of at the end)
+    const barNodes = new Map(); // date key -> the bar's nodes in barsGroup
+    const appendBar = (d, i, before = null) => {
+      const x = slotOf(d, i) * barStep + (barStep - barWidth) / 2;
+      const nodes = [];
+      const add = node => nodes.push(barsGroup.insertBefore(node, before));
 
       if (cfg.renderType === 'high-low') {
         const barGroup = createSVGElement('g', { class: 'high-low-bar' });
@@ -839,7 +2377,7 @@
           width: barWidth,
           height: actualHeight,
           class: 'bar high-low',
-          fill: cfg.highLowColor || '#2c5aa0'
+          fill: barColorOf(d, i)
         }));
         if (actualHeight !== minBarHeight) {
           barGroup.appendChild(createSVGElement('line', {
@@ -851,178 +2389,363 @@
           }));
         }
 
-        if (tooltip) {
-          barGroup.addEventListener('mouseenter', (e) => {
-            // Use custom formatter if provided, otherwise use default
-            if (cfg.tooltipFormatter && typeof cfg.tooltipFormatter === 'function') {
-              tooltip.innerHTML = cfg.tooltipFormatter(d, cfg);
-            } else {
-              const formattedHigh = formatNumber(d.highValue, numberFormat, numberDecimals, useThousandSeparator);
-              const formattedLow = formatNumber(d.lowValue, numberFormat, numberDecimals, useThousandSeparator);
-              const formattedAvg = formatNumber(d.value, numberFormat, numberDecimals, useThousandSeparator);
-              tooltip.innerHTML = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><br>High: ${formattedHigh}<br>Low: ${formattedLow}<br>Avg: ${formattedAvg}`;
-            }
-            tooltip.style.display = 'block';
-            positionTooltip(tooltip, e);
-          });
-          barGroup.addEventListener('mousemove', (e) => {
-            positionTooltip(tooltip, e);
-          });
-          barGroup.addEventListener('mouseleave', () => {
-            tooltip.style.display = 'none';
-          });
-        }
-
-        barsGroup.appendChild(barGroup);
-      } else if (cfg.renderType === 'staggered') {
-        // Staggered/multi-series bars
+        add(barGroup);
+      } else if (cfg.renderType === 'staggered' || cfg.renderType === 'combo') {
+        // Staggered/multi-series bars (the bar series of a combo panel)
         const values = d.values || [];
-        const seriesCount = values.length;
+        const visibleIndices = values.map((val, idx) => idx).filter(idx => !hiddenSeries.has(idx) && !isLineSeries(idx));
+        const seriesCount = visibleIndices.length;
         const yAxisLabels = cfg.yAxisLabels || [];
-        const staggeredColors = cfg.staggeredColors || ['#4a90d9', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
         const gap = 2; // gap between staggered bars
         const subBarWidth = seriesCount > 0 ? (barWidth - (seriesCount - 1) * gap) / seriesCount : barWidth;
         
         const barGroup = createSVGElement('g', { class: 'staggered-bar-group' });
         
-        values.forEach((val, seriesIdx) => {
+        visibleIndices.forEach((seriesIdx, position) => {
+          const val = values[seriesIdx];
           if (val === null || val === undefined) return; // skip null/missing values
-          const subX = x + seriesIdx * (subBarWidth + gap);
-          const barHeight = Math.max(1, innerHeight - yScale(val));
+          const subX = x + position * (subBarWidth + gap);
+          const span = barSpan(scaleOf(seriesIdx)(val), baselineOf(seriesIdx));
           const subBar = createSVGElement('rect', {
             x: subX,
-            y: yScale(val),
+            y: span.y,
             width: subBarWidth,
-            height: barHeight,
+            height: span.height,
             class: 'bar staggered',
-            fill: staggeredColors[seriesIdx % staggeredColors.length]
+            fill: seriesColorOf(d, i, seriesIdx),
+            'data-series': seriesIdx
           });
           barGroup.appendChild(subBar);
         });
         
-        if (tooltip) {
-          barGroup.addEventListener('mouseenter', (e) => {
-            if (cfg.tooltipFormatter && typeof cfg.tooltipFormatter === 'function') {
-              tooltip.innerHTML = cfg.tooltipFormatter(d, cfg);
-            } else {
-              let html = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><br>`;
-              let total = 0;
-              values.forEach((val, idx) => {
-                const label = yAxisLabels[idx] || `Series ${idx + 1}`;
-                if (val !== null && val !== undefined) {
-                  html += `${label}: ${formatNumber(val, numberFormat, numberDecimals, useThousandSeparator)}<br>`;
-                  total += val;
-                } else {
-                  html += `${label}: —<br>`;
-                }
-              });
-              html += `<strong>Total: ${formatNumber(total, numberFormat, numberDecimals, useThousandSeparator)}</strong>`;
-              tooltip.innerHTML = html;
-            }
-            tooltip.style.display = 'block';
-            positionTooltip(tooltip, e);
-          });
-          barGroup.addEventListener('mousemove', (e) => {
-            positionTooltip(tooltip, e);
-          });
-          barGroup.addEventListener('mouseleave', () => {
-            tooltip.style.display = 'none';
-          });
-        }
-        
-        barsGroup.appendChild(barGroup);
+        add(barGroup);
       } else if (cfg.renderType === 'stacked') {
         // Stacked bars - bars on top of each other
-        const values = d.values || [];
-        const yAxisLabels = cfg.yAxisLabels || [];
-        const stackedColors = cfg.staggeredColors || ['#4a90d9', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
-        
         const barGroup = createSVGElement('g', { class: 'stacked-bar-group' });
         
-        let cumulativeValue = 0;
-        values.forEach((val, seriesIdx) => {
-          if (val === null || val === undefined || val === 0) return; // skip null/zero values
-          const segmentHeight = Math.max(0, innerHeight - yScale(val) - (innerHeight - yScale(0)));
-          const y = yScale(cumulativeValue + val);
-          
+        stackSegments(d).forEach(({ seriesIdx, start, end }) => {
+          const span = barSpan(yScale(end), yScale(start));
           const segment = createSVGElement('rect', {
             x: x,
-            y: y,
+            y: span.y,
             width: barWidth,
-            height: Math.max(1, segmentHeight),
+            height: span.height,
             class: 'bar stacked',
-            fill: stackedColors[seriesIdx % stackedColors.length]
+            fill: seriesColorOf(d, i, seriesIdx),
+            'data-series': seriesIdx
           });
           barGroup.appendChild(segment);
-          cumulativeValue += val;
         });
         
-        if (tooltip) {
-          barGroup.addEventListener('mouseenter', (e) => {
-            if (cfg.tooltipFormatter && typeof cfg.tooltipFormatter === 'function') {
-              tooltip.innerHTML = cfg.tooltipFormatter(d, cfg);
-            } else {
-              let html = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><br>`;
-              let total = 0;
-              values.forEach((val, idx) => {
-                const label = yAxisLabels[idx] || `Series ${idx + 1}`;
-                if (val !== null && val !== undefined) {
-                  html += `${label}: ${formatNumber(val, numberFormat, numberDecimals, useThousandSeparator)}<br>`;
-                  total += val;
-                } else {
-                  html += `${label}: —<br>`;
-                }
-              });
-              html += `<strong>Total: ${formatNumber(total, numberFormat, numberDecimals, useThousandSeparator)}</strong>`;
-              tooltip.innerHTML = html;
-            }
-            tooltip.style.display = 'block';
-            positionTooltip(tooltip, e);
-          });
-          barGroup.addEventListener('mousemove', (e) => {
-            positionTooltip(tooltip, e);
-          });
-          barGroup.addEventListener('mouseleave', () => {
-            tooltip.style.display = 'none';
-          });
+        add(barGroup);
+      } else if (!isLineType(cfg.renderType)) {
+        // Ghost bar of the compared period behind the bar
+        if (d.compareValue !== undefined && d.compareValue !== null) {
+          const ghostSpan = barSpan(yScale(d.compareValue), baseline);
+          add(createSVGElement('rect', {
+            x: x, y: ghostSpan.y,
+            width: barWidth,
+            height: ghostSpan.height,
+            class: 'bar-ghost',
+            fill: panelColor,
+            stroke: panelColor
+          }));
         }
-        
-        barsGroup.appendChild(barGroup);
-      } else {
-        const barHeight = Math.max(1, innerHeight - yScale(d.value));
+        const span = barSpan(yScale(d.value), baseline);
         const bar = createSVGElement('rect', {
-          x: x, y: yScale(d.value),
+          x: x, y: span.y,
           width: barWidth,
-          height: barHeight,
+          height: span.height,
           class: 'bar',
-          fill: cfg.barColor || '#4a90d9'
+          fill: barColorOf(d, i)
         });
 
-        if (tooltip) {
-          bar.addEventListener('mouseenter', (e) => {
-            // Use custom formatter if provided, otherwise use default
-            if (cfg.tooltipFormatter && typeof cfg.tooltipFormatter === 'function') {
-              tooltip.innerHTML = cfg.tooltipFormatter(d, cfg);
-            } else {
-              const formattedValue = formatNumber(d.value, numberFormat, numberDecimals, useThousandSeparator);
-              tooltip.innerHTML = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><br>Value: ${formattedValue}`;
-            }
-            tooltip.style.display = 'block';
-            positionTooltip(tooltip, e);
-          });
-          bar.addEventListener('mousemove', (e) => {
-            positionTooltip(tooltip, e);
+        add(bar);
+      }
+      barNodes.set(d.date, nodes);
+    };
+
+    // SVG bars of a slot range; with cfg.viewport only the range around the visible part is
+    // created, and setViewport() moves it along while scrolling
+    const virtualize = !useCanvas && cfg.virtualize !== false && !!cfg.viewport;
+    let renderedRange = null;
+    let highlightedSeries = null;
+    function renderBars(firstSlot, lastSlot) {
+      while (barsGroup.firstChild) {
+        barsGroup.removeChild(barsGroup.firstChild);
+      }
+      barNodes.clear();
+      aggregatedData.forEach((d, i) => {
+        const slot = slotOf(d, i);
+        if (slot >= firstSlot && slot <= lastSlot) appendBar(d, i);
+      });
+      renderedRange = { first: firstSlot, last: lastSlot };
+      if (highlightedSeries !== null) applySeriesHighlight();
+    }
+
+    function setViewport(scrollLeft, viewportWidth) {
+      if (!virtualize || slotCount === 0) return;
+      const first = Math.max(0, Math.floor((scrollLeft - chartGap) / barStep));
+      const last = Math.min(slotCount - 1, Math.ceil((scrollLeft - chartGap + viewportWidth) / barStep));
+      if (renderedRange && first >= renderedRange.first && last <= renderedRange.last) return;
+      // One viewport of slack on each side, so short scrolls don't rebuild
+      const buffer = Math.ceil(viewportWidth / barStep);
+      renderBars(Math.max(0, first - buffer), Math.min(slotCount - 1, last + buffer));
+    }
+
+    function applySeriesHighlight() {
+      chartSvg.classList.toggle('barchart-highlighting', highlightedSeries !== null);
+      chartSvg.querySelectorAll('[data-series]').forEach(el => {
+        el.classList.toggle('highlighted', el.getAttribute('data-series') === String(highlightedSeries));
+      });
+    }
+
+    if (virtualize) setViewport(cfg.viewport.left, cfg.viewport.width);
+    else if (!useCanvas) renderBars(0, slotCount - 1);
+    chartGroup.appendChild(barsGroup);
+
+    // Zero line, when the domain reaches below zero
+    const showZeroLine = !useLogScale && minValue < 0;
+    if (showZeroLine && !useCanvas) {
+      chartGroup.appendChild(createSVGElement('line', {
+        x1: 0, y1: baseline, x2: innerWidth, y2: baseline,
+        class: 'zero-line'
+      }));
+    }
+
+    // Lines, areas and steps: one path per series through the bar centers, on top of the bars
+    const lineSeries = [];
+    if (isLineType(cfg.renderType)) {
+      // A period comparison is a dashed line behind the series
+      if (aggregatedData.some(d => d.compareValue !== undefined)) {
+        lineSeries.push({ type: 'line', ghost: true, color: panelColor, scale: yScale, value: d => d.compareValue });
+      }
+      lineSeries.push({ type: cfg.renderType, color: panelColor, scale: yScale, base: baseline, value: d => d.value });
+    } else if (cfg.renderType === 'combo') {
+      (cfg.seriesTypes || []).forEach((type, idx) => {
+        if (!isLineType(type) || hiddenSeries.has(idx)) return;
+        lineSeries.push({
+          type,
+          color: baseColor(seriesColors[idx % seriesColors.length], defaultColor),
+          seriesIdx: idx,
+          scale: scaleOf(idx),
+          base: baselineOf(idx),
+          value: d => (d.values || [])[idx]
+        });
+      });
+    }
+    const traceLineSeries = () => lineSeries.forEach(series => {
+      const points = [];
+      aggregatedData.forEach((d, i) => {
+        const value = series.value(d);
+        if (value === null || value === undefined || isNaN(value)) return;
+        const left = slotOf(d, i) * barStep;
+        points.push({ x: left + barStep / 2, left, right: left + barStep, y: series.scale(value) });
+      });
+      series.vertices = getLineVertices(points, series.type);
+    });
+    traceLineSeries();
+
+    const renderLines = () => {
+      const linesGroup = createSVGElement('g', { class: 'lines' });
+      lineSeries.forEach(({ type, ghost, color, seriesIdx, base, vertices }) => {
+        if (vertices.length === 0) return;
+        const line = vertices.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x},${y}`).join('');
+        const seriesAttrs = seriesIdx !== undefined ? { 'data-series': seriesIdx } : {};
+        if (type === 'area') {
+          const first = vertices[0][0];
+          const last = vertices[vertices.length - 1][0];
+          linesGroup.appendChild(createSVGElement('path', {
+            d: `${line}L${last},${base}L${first},${base}Z`,
+            class: 'series-area',
+            fill: color,
+            ...seriesAttrs
+          }));
+        }
+        linesGroup.appendChild(createSVGElement('path', {
+          d: line,
+          class: `series-line series-${type}${ghost ? ' series-ghost' : ''}`,
+          stroke: color,
+          ...seriesAttrs
+        }));
+      });
+      return linesGroup;
+    };
+    let linesGroup = null;
+    if (!useCanvas && lineSeries.length > 0) {
+      linesGroup = renderLines();
+      chartGroup.appendChild(linesGroup);
+    }
+
+    // Canvas renderer: same geometry as the SVG grid and bars above
+    const ctx = canvas ? canvas.getContext('2d') : null;
+    function drawCanvas(highlightIdx = null) {
+      if (!ctx) return;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.setTransform(canvasScale, 0, 0, canvasScale, chartGap * canvasScale, margin.top * canvasScale);
+
+      if (cfg.showGrid) {
+        const drawGridLine = (y) => {
+          ctx.beginPath();
+          ctx.moveTo(0, Math.round(y) + 0.5);
+          ctx.lineTo(innerWidth, Math.round(y) + 0.5);
+          ctx.stroke();
+        };
+        ctx.strokeStyle = '#e8e8e8';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        tickValues.forEach((value, i) => drawGridLine(useLogScale ? yScale(value) : (innerHeight / actualTickCount) * i));
+        if (useLogScale && tickValues.length > 1) {
+          ctx.strokeStyle = '#f0f0f0';
+          ctx.lineWidth = 0.5;
+          ctx.setLineDash([2, 3]);
+          getLogMinorTicks(tickValues, minValue, maxValue, yScale, innerHeight).forEach(value => drawGridLine(yScale(value)));
+        }
+        ctx.setLineDash([]);
+      }
+
+      // Annotations, as .annotation in styles.css
+      annotationShapes.forEach(shape => {
+        if (shape.width === 0 || shape.height === 0) {
+          ctx.globalAlpha = 1;
+          ctx.strokeStyle = shape.color;
+          ctx.lineWidth = 1.5;
+          ctx.setLineDash([5, 3]);
+          ctx.beginPath();
+          ctx.moveTo(shape.x, shape.y);
+          ctx.lineTo(shape.x + shape.width, shape.y + shape.height);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        } else {
+          ctx.globalAlpha = 0.15;
+          ctx.fillStyle = shape.color;
+          ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+        }
+        if (shape.label) {
+          const { x, y } = annotationLabelPosition(shape);
+          ctx.globalAlpha = 1;
+          ctx.fillStyle = shape.color;
+          ctx.font = '11px sans-serif';
+          ctx.textAlign = 'start';
+          ctx.fillText(shape.label, x, y);
+        }
+      });
+
+      const fillRect = (color, x, y, width, height, seriesIdx) => {
+        ctx.globalAlpha = highlightIdx === null || seriesIdx === undefined || seriesIdx === highlightIdx ? 1 : 0.25;
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, width, height);
+      };
+      const drawAvgMarker = (x, avgY) => {
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = cfg.avgMarkerColor || '#ff6b6b';
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(x - 2, avgY);
+        ctx.lineTo(x + barWidth + 2, avgY);
+        ctx.stroke();
+      };
+
+      aggregatedData.forEach((d, i) => {
+        const x = slotOf(d, i) * barStep + (barStep - barWidth) / 2;
+
+        if (cfg.renderType === 'high-low') {
+          const yHigh = yScale(d.highValue);
+          const barHeight = yScale(d.lowValue) - yHigh;
+          const minBarHeight = 2;
+          const actualHeight = Math.max(minBarHeight, barHeight);
+          const actualY = barHeight < minBarHeight ? yHigh - (minBarHeight - barHeight) / 2 : yHigh;
+          const avgY = yScale(d.value);
+          // Avg marker behind a minimal-height bar, on top of a regular one
+          if (actualHeight === minBarHeight) drawAvgMarker(x, avgY);
+          fillRect(barColorOf(d, i), x, actualY, barWidth, actualHeight);
+          if (actualHeight !== minBarHeight) drawAvgMarker(x, avgY);
+        } else if (cfg.renderType === 'staggered' || cfg.renderType === 'combo') {
+          const values = d.values || [];
+          const visibleIndices = values.map((val, idx) => idx).filter(idx => !hiddenSeries.has(idx) && !isLineSeries(idx));
+          const gap = 2;
+          const subBarWidth = visibleIndices.length > 0 ? (barWidth - (visibleIndices.length - 1) * gap) / visibleIndices.length : barWidth;
+          visibleIndices.forEach((seriesIdx, position) => {
+            const val = values[seriesIdx];
+            if (val === null || val === undefined) return;
+            const span = barSpan(scaleOf(seriesIdx)(val), baselineOf(seriesIdx));
+            fillRect(seriesColorOf(d, i, seriesIdx), x + position * (subBarWidth + gap), span.y, subBarWidth, span.height, seriesIdx);
           });
-          bar.addEventListener('mouseleave', () => {
-            tooltip.style.display = 'none';
+        } else if (cfg.renderType === 'stacked') {
+          stackSegments(d).forEach(({ seriesIdx, start, end }) => {
+            const span = barSpan(yScale(end), yScale(start));
+            fillRect(seriesColorOf(d, i, seriesIdx), x, span.y, barWidth, span.height, seriesIdx);
           });
+        } else if (!isLineType(cfg.renderType)) {
+          if (d.compareValue !== undefined && d.compareValue !== null) {
+            // Ghost bar: translucent fill and dashed outline, as .bar-ghost in styles.css
+            const ghostSpan = barSpan(yScale(d.compareValue), baseline);
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = panelColor;
+            ctx.fillRect(x, ghostSpan.y, barWidth, ghostSpan.height);
+            ctx.globalAlpha = 0.6;
+            ctx.strokeStyle = panelColor;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 2]);
+            ctx.strokeRect(x + 0.5, ghostSpan.y + 0.5, barWidth - 1, ghostSpan.height - 1);
+            ctx.setLineDash([]);
+          }
+          const span = barSpan(yScale(d.value), baseline);
+          fillRect(barColorOf(d, i), x, span.y, barWidth, span.height);
         }
+      });
 
-        barsGroup.appendChild(bar);
+      if (showZeroLine) {
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, Math.round(baseline) + 0.5);
+        ctx.lineTo(innerWidth, Math.round(baseline) + 0.5);
+        ctx.stroke();
       }
-    });
 
-    chartGroup.appendChild(barsGroup);
+      lineSeries.forEach(({ type, ghost, color, seriesIdx, base, vertices }) => {
+        if (vertices.length === 0) return;
+        const traceLine = () => {
+          ctx.beginPath();
+          vertices.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        };
+        const alpha = highlightIdx === null || seriesIdx === undefined || seriesIdx === highlightIdx ? 1 : 0.25;
+        if (type === 'area') {
+          traceLine();
+          ctx.lineTo(vertices[vertices.length - 1][0], base);
+          ctx.lineTo(vertices[0][0], base);
+          ctx.closePath();
+          ctx.globalAlpha = alpha * 0.25;
+          ctx.fillStyle = color;
+          ctx.fill();
+        }
+        traceLine();
+        ctx.globalAlpha = ghost ? alpha * 0.5 : alpha;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.setLineDash(ghost ? [4, 3] : []);
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+    }
+
+    // Backing store at device resolution, capped to stay within browser canvas size limits
+    let canvasScale = 1;
+    const sizeCanvas = () => {
+      canvasScale = Math.min(window.devicePixelRatio || 1, maxCanvasSize / chartWidth);
+      canvas.width = Math.floor(chartWidth * canvasScale);
+      canvas.height = Math.floor(chartHeight * canvasScale);
+      canvas.style.width = chartWidth + 'px';
+      canvas.style.height = chartHeight + 'px';
+      drawCanvas();
+    };
+    if (canvas) sizeCanvas();
 
     // Create hover indicator elements (vertical line + circle) - initially hidden
     const hoverIndicatorGroup = createSVGElement('g', { class: 'hover-indicator', style: 'display: none;' });
@@ -1045,23 +2768,33 @@
     chartGroup.appendChild(hoverIndicatorGroup);
 
     // Pre-calculate bar positions for hover
-    const barPositions = aggregatedData.map((d, i) => {
-      const x = i * barStep;
+    const positionOf = (d, i) => {
+      const x = slotOf(d, i) * barStep;
       const barCenterX = x + barStep / 2;
       let barTopY;
       if (cfg.renderType === 'stacked' && d.values) {
-        // For stacked, show circle at the top of the stacked bar (sum of all values)
-        const total = d.values.filter(v => v !== null && v !== undefined).reduce((sum, v) => sum + v, 0);
-        barTopY = yScale(total);
-      } else if (cfg.renderType === 'staggered' && d.values) {
-        // For staggered, show circle at the max value across series
-        const maxVal = Math.max(...d.values.filter(v => v !== null && v !== undefined));
-        barTopY = yScale(maxVal);
+        // For stacked, show circle at the top of the positive stack (the bottom of a negative-only one)
+        const segments = stackSegments(d);
+        const positive = segments.filter(seg => seg.end > 0);
+        barTopY = yScale(positive.length > 0
+          ? positive[positive.length - 1].end
+          : (segments.length > 0 ? segments[segments.length - 1].end : 0));
+      } else if ((cfg.renderType === 'staggered' || cfg.renderType === 'combo') && d.values) {
+        // For staggered and combo, show circle at the highest value across series (on either axis)
+        barTopY = Math.min(...d.values.map((v, idx) => (
+          hiddenSeries.has(idx) || v === null || v === undefined ? Infinity : scaleOf(idx)(v)
+        )));
       } else {
         barTopY = yScale(d.value);
       }
       return { x, barCenterX, barTopY, data: d, index: i };
-    });
+    };
+    const barPositions = aggregatedData.map(positionOf);
+
+    // Bars are matched across panels by date key, not by array index
+    const positionsByDate = new Map(barPositions.map(pos => [pos.data.date, pos]));
+    // ... and by x slot in a standalone panel
+    const positionsBySlot = new Map(barPositions.map(pos => [slotOf(pos.data, pos.index), pos]));
 
     // Hover data for external management (multi-chart mode)
     const hoverData = {
@@ -1072,9 +2805,13 @@
       cfg: { ...cfg, numberFormat, numberDecimals, useThousandSeparator },
       aggregatedData,
       yScale,
-      showHover: (index, barCenterX) => {
-        const pos = barPositions[index];
-        if (!pos) return;
+      showHover: (date, barCenterX) => {
+        const pos = positionsByDate.get(date);
+        if (!pos) {
+          // No bar for this date in this panel (gap)
+          hoverIndicatorGroup.style.display = 'none';
+          return;
+        }
         hoverIndicatorGroup.style.display = 'block';
         hoverLine.setAttribute('x1', barCenterX);
         hoverLine.setAttribute('x2', barCenterX);
@@ -1084,129 +2821,221 @@
       hideHover: () => {
         hoverIndicatorGroup.style.display = 'none';
       },
-      getTooltipContent: (index) => {
-        const d = aggregatedData[index];
-        if (!d) return '';
-        return generateTooltipContent(d, cfg, numberFormat, numberDecimals, useThousandSeparator);
-      }
-    };
-
-    // Add invisible hover zones for each bar (full height for vertical hover tooltip)
-    // Only add standalone hover handling if NOT in multi-chart mode
-    if (tooltip && !multiChartMode) {
-      const hoverZonesGroup = createSVGElement('g', { class: 'hover-zones' });
-      
-      aggregatedData.forEach((d, i) => {
-        const x = i * barStep;
-        const barCenterX = x + barStep / 2;
-        
-        // Calculate the y position for the circle (top of bar in normal mode, average value in high-low mode)
-        let barTopY;
-        if (cfg.renderType === 'stacked' && d.values) {
-          // For stacked, show circle at the top of the stacked bar (sum of all values)
-          const total = d.values.filter(v => v !== null && v !== undefined).reduce((sum, v) => sum + v, 0);
-          barTopY = yScale(total);
-        } else if (cfg.renderType === 'staggered' && d.values) {
-          // For staggered, show circle at the max value across series
-          const maxVal = Math.max(...d.values.filter(v => v !== null && v !== undefined));
-          barTopY = yScale(maxVal);
-        } else if (cfg.renderType === 'high-low') {
-          // In high-low mode, show circle at the average value marker position
-          barTopY = yScale(d.value);
+      // Emphasize one series of a staggered/stacked/combo panel (null clears it)
+      highlightSeries: (seriesIdx) => {
+        highlightedSeries = seriesIdx;
+        if (useCanvas) drawCanvas(seriesIdx);
+        else applySeriesHighlight();
+      },
+      // Visible part of the panel (scroll offset and width), for virtualized SVG bars
+      setViewport,
+      // Copy of the panel's chart SVG with every bar and without hover state, for exports.
+      // Canvas panels are embedded as an image under their overlay
+      exportChart: () => {
+        let copy;
+        if (useCanvas) {
+          copy = overlaySvg.cloneNode(true);
+          copy.setAttribute('class', 'barchart-chart');
+          let url = null;
+          try {
+            url = canvas.toDataURL('image/png');
+          } catch (e) {
+            url = null;
+          }
+          if (url) {
+            copy.insertBefore(createSVGElement('image', { x: 0, y: 0, width: chartWidth, height: chartHeight, href: url }), copy.firstChild);
+          }
+        } else if (virtualize && renderedRange && slotCount > 0) {
+          const range = renderedRange;
+          renderBars(0, slotCount - 1);
+          copy = chartSvg.cloneNode(true);
+          renderBars(range.first, range.last);
         } else {
-          barTopY = yScale(d.value);
+          copy = chartSvg.cloneNode(true);
         }
-        
-        // Create an invisible rect that spans the full height of the chart
-        const hoverZone = createSVGElement('rect', {
-          x: x,
-          y: 0,
-          width: barStep,
-          height: innerHeight,
-          class: 'hover-zone',
-          fill: 'transparent',
-          'pointer-events': 'all'
-        });
-        
-        hoverZone.addEventListener('mouseenter', (e) => {
-          // Show hover indicator
-          hoverIndicatorGroup.style.display = 'block';
-          hoverLine.setAttribute('x1', barCenterX);
-          hoverLine.setAttribute('x2', barCenterX);
-          hoverCircle.setAttribute('cx', barCenterX);
-          hoverCircle.setAttribute('cy', barTopY);
-          
-          // Use custom formatter if provided, otherwise use default
-          const tableStyle = 'border-collapse:collapse;width:100%;';
-          const labelStyle = 'text-align:left;padding-right:10px;';
-          const valueStyle = 'text-align:right;font-weight:500;';
-          
-          if (cfg.tooltipFormatter && typeof cfg.tooltipFormatter === 'function') {
-            tooltip.innerHTML = cfg.tooltipFormatter(d, cfg);
-          } else if (cfg.renderType === 'staggered' || cfg.renderType === 'stacked') {
-            const values = d.values || [];
-            const yAxisLabels = cfg.yAxisLabels || [];
-            const colors = cfg.staggeredColors || ['#4a90d9', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
-            let html = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><hr style="margin:4px 0;border:none;border-top:1px solid #ccc;"><table style="${tableStyle}">`;
-            let total = 0;
-            
-            // For stacked charts, reverse the order so tooltip matches visual stack (top to bottom)
-            const indices = cfg.renderType === 'stacked' 
-              ? [...Array(values.length).keys()].reverse() 
-              : [...Array(values.length).keys()];
-            
-            // Calculate total first (needed for stacked display)
-            values.forEach(val => {
-              if (val !== null && val !== undefined) total += val;
+        copy.querySelectorAll('.hover-indicator, .brush-selection').forEach(el => el.remove());
+        return copy;
+      },
+      getTooltipContent: (date) => {
+        const pos = positionsByDate.get(date);
+        if (!pos) return cfg.title ? `<strong>${cfg.title}</strong><br>—` : '—';
+        const d = pos.data;
+        return generateTooltipContent(d, cfg, numberFormat, numberDecimals, useThousandSeparator, tooltipSwatches(d, pos.index));
+      },
+      // Redraw the panel in place for new data with the same y scales, in which the existing bars
+      // keep their order (they may change, new ones follow at the end). layout is the new bar
+      // layout, { barStep, barWidth, dropped }, with the number of slots that the sliding window
+      // drops at the start. Returns the function that does it, to be called once the shared slot
+      // index holds the new buckets, or null if the panel has to be rendered again
+      prepareUpdate: (nextCfg, nextData, layout) => {
+        const next = getScales(nextData);
+        const sameScale = (a, b) => a.minValue === b.minValue && a.maxValue === b.maxValue
+          && a.tickValues.length === b.tickValues.length && a.tickValues.every((value, i) => value === b.tickValues[i]);
+        const hasGhost = data => data.some(d => d.compareValue !== undefined);
+        // Bars in the dropped slots go; the others have to start the new data
+        const gone = aggregatedData.filter((d, i) => slotOf(d, i) < layout.dropped).length;
+        const kept = aggregatedData.slice(gone);
+        if (nextCfg.innerHeight !== innerHeight
+          || nextData.length < kept.length || kept.some((d, i) => nextData[i].date !== d.date)
+          || !sameScale(scale, next.scale) || (rightScale && !sameScale(rightScale, next.rightScale))
+          || hasGhost(nextData) !== hasGhost(aggregatedData)) {
+          return null;
+        }
+
+        return () => {
+          const previousCount = slotCount;
+          const previousWidth = innerWidth;
+          const relaid = layout.barStep !== barStep || layout.barWidth !== barWidth;
+          const shift = layout.dropped * barStep;
+          const moved = relaid || layout.dropped > 0;
+          aggregatedData.slice(0, gone).forEach(d => {
+            (barNodes.get(d.date) || []).forEach(node => barsGroup.removeChild(node));
+            barNodes.delete(d.date);
+            positionsByDate.delete(d.date);
+          });
+          aggregatedData = nextData;
+          hoverData.aggregatedData = nextData;
+          slotCount = slotIndex ? slotIndex.size : nextData.length;
+          innerWidth = nextCfg.innerWidth;
+          chartWidth = innerWidth + chartGap + margin.right;
+          barStep = layout.barStep;
+          barWidth = layout.barWidth;
+
+          // Buckets whose values changed, and the new ones
+          const sameValue = (a, b) => (Array.isArray(a) && Array.isArray(b)
+            ? a.length === b.length && a.every((v, idx) => v === b[idx])
+            : a === b);
+          const changed = [];
+          nextData.forEach((d, i) => {
+            const before = kept[i];
+            if (before && Object.keys({ ...before, ...d }).every(key => sameValue(before[key], d[key]))) return;
+            changed.push(i);
+          });
+
+          // Bars that moved to another slot or changed width get new positions, otherwise only the changed ones
+          if (moved) {
+            barPositions.length = 0;
+            positionsBySlot.clear();
+            nextData.forEach((d, i) => {
+              const pos = positionOf(d, i);
+              barPositions.push(pos);
+              positionsByDate.set(d.date, pos);
+              positionsBySlot.set(slotOf(d, i), pos);
             });
-            
-            indices.forEach(idx => {
-              const val = values[idx];
-              const label = yAxisLabels[idx] || `Series ${idx + 1}`;
-              const color = colors[idx % colors.length];
-              const circle = `<span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:${color};margin-right:5px;vertical-align:middle;"></span>`;
-              if (val !== null && val !== undefined) {
-                html += `<tr><td style="${labelStyle}">${circle}${label}:</td><td style="${valueStyle}">${formatNumber(val, numberFormat, numberDecimals, useThousandSeparator)}</td></tr>`;
-              } else {
-                html += `<tr><td style="${labelStyle}">${circle}${label}:</td><td style="${valueStyle}">—</td></tr>`;
-              }
+          } else {
+            changed.forEach(i => {
+              const pos = positionOf(nextData[i], i);
+              barPositions[i] = pos;
+              positionsByDate.set(pos.data.date, pos);
+              positionsBySlot.set(slotOf(pos.data, pos.index), pos);
             });
-            html += `<tr><td style="${labelStyle}"><strong>Total:</strong></td><td style="${valueStyle}"><strong>${formatNumber(total, numberFormat, numberDecimals, useThousandSeparator)}</strong></td></tr></table>`;
-            tooltip.innerHTML = html;
-          } else if (cfg.renderType === 'high-low') {
-            const formattedHigh = formatNumber(d.highValue, numberFormat, numberDecimals, useThousandSeparator);
-            const formattedLow = formatNumber(d.lowValue, numberFormat, numberDecimals, useThousandSeparator);
-            const formattedAvg = formatNumber(d.value, numberFormat, numberDecimals, useThousandSeparator);
-            tooltip.innerHTML = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><table style="${tableStyle}"><tr><td style="${labelStyle}">High:</td><td style="${valueStyle}">${formattedHigh}</td></tr><tr><td style="${labelStyle}">Low:</td><td style="${valueStyle}">${formattedLow}</td></tr><tr><td style="${labelStyle}">Avg:</td><td style="${valueStyle}">${formattedAvg}</td></tr></table>`;
+          }
+
+          const grown = slotCount !== previousCount || innerWidth !== previousWidth;
+          if (grown) {
+            overlaySvg.setAttribute('width', chartWidth);
+            chartGroup.querySelectorAll('.grid-line, .zero-line').forEach(line => line.setAttribute('x2', innerWidth));
+          }
+          if (grown || moved) annotationShapes = layoutPanelAnnotations();
+          if (changed.length > 0 || moved) traceLineSeries();
+          chartSvg.setAttribute('aria-label', describePanel(cfg, aggregatedData));
+
+          if (useCanvas) {
+            chartSvg.style.width = chartWidth + 'px';
+            if (grown) sizeCanvas();
+            drawCanvas(highlightedSeries);
+            return;
+          }
+
+          // The rendered range moves with its bars (a range that reaches the last slot grows with it)
+          if (renderedRange) {
+            renderedRange = {
+              first: Math.max(0, renderedRange.first - layout.dropped),
+              last: renderedRange.last === previousCount - 1 ? slotCount - 1 : renderedRange.last - layout.dropped
+            };
+          }
+          if (relaid) {
+            // Bars of another width are drawn again
+            renderBars(renderedRange.first, renderedRange.last);
           } else {
-            const formattedValue = formatNumber(d.value, numberFormat, numberDecimals, useThousandSeparator);
-            tooltip.innerHTML = `<strong>${formatTooltipDate(d.date, cfg.chartType)}</strong><table style="${tableStyle}"><tr><td style="${labelStyle}">Value:</td><td style="${valueStyle}">${formattedValue}</td></tr></table>`;
+            // The window moved: bars shift left by the dropped slots, the changed ones are replaced
+            if (shift > 0) {
+              barNodes.forEach(nodes => nodes.forEach(node => [node, ...node.querySelectorAll('*')].forEach(el => {
+                ['x', 'x1', 'x2'].forEach(name => {
+                  if (el.hasAttribute(name)) el.setAttribute(name, Number(el.getAttribute(name)) - shift);
+                });
+              })));
+            }
+            changed.forEach(i => {
+              const d = nextData[i];
+              const slot = slotOf(d, i);
+              if (!renderedRange || slot < renderedRange.first || slot > renderedRange.last) return;
+              const oldNodes = barNodes.get(d.date) || [];
+              appendBar(d, i, oldNodes.length > 0 ? oldNodes[0] : null);
+              oldNodes.forEach(node => barsGroup.removeChild(node));
+            });
           }
-          tooltip.style.display = 'block';
-          positionTooltip(tooltip, e);
-        });
-        
-        hoverZone.addEventListener('mousemove', (e) => {
-          positionTooltip(tooltip, e);
-        });
-        
-        hoverZone.addEventListener('mouseleave', () => {
-          // Hide hover indicator
-          hoverIndicatorGroup.style.display = 'none';
-          tooltip.style.display = 'none';
-        });
+          if (grown || moved) {
+            const annotations = chartGroup.querySelector('.annotations');
+            if (annotations) chartGroup.removeChild(annotations);
+            if (annotationShapes.length > 0) chartGroup.insertBefore(renderAnnotations(annotationShapes), barsGroup);
+          }
+          if (linesGroup && (changed.length > 0 || moved)) {
+            const nextLines = renderLines();
+            chartGroup.replaceChild(nextLines, linesGroup);
+            linesGroup = nextLines;
+          }
+          if (highlightedSeries !== null) applySeriesHighlight();
+        };
+      }
+    };
+
+    // Hover and click handling for a standalone panel (multi-panel hover is handled by createChart)
+    if ((tooltip || cfg.onBarClick) && !multiChartMode) {
+      // Show the hover indicator and tooltip of one bar
+      const enterBar = ({ data: d, barCenterX, barTopY, index }, e) => {
+        // Show hover indicator
+        hoverIndicatorGroup.style.display = 'block';
+        hoverLine.setAttribute('x1', barCenterX);
+        hoverLine.setAttribute('x2', barCenterX);
+        hoverCircle.setAttribute('cx', barCenterX);
+        hoverCircle.setAttribute('cy', barTopY);
+        if (!tooltip) return;
         
-        hoverZonesGroup.appendChild(hoverZone);
+        tooltip.innerHTML = generateTooltipContent(d, cfg, numberFormat, numberDecimals, useThousandSeparator, tooltipSwatches(d, index), 'date');
+        tooltip.style.display = 'block';
+        positionTooltip(tooltip, e);
+      };
+
+      const leaveBar = () => {
+        hoverIndicatorGroup.style.display = 'none';
+        if (tooltip) tooltip.style.display = 'none';
+      };
+
+      // One set of listeners on the panel; the bar follows from pointer x and barStep
+      attachSlotPointer(chartSvg, () => barStep, () => slotCount, { left: chartGap, top: margin.top, height: innerHeight }, {
+        enter: (slot, e) => {
+          const pos = positionsBySlot.get(slot);
+          if (pos) enterBar(pos, e);
+          else leaveBar();
+        },
+        move: (slot, e) => {
+          if (tooltip) positionTooltip(tooltip, e);
+        },
+        leave: leaveBar,
+        click: cfg.onBarClick ? (slot) => {
+          const pos = positionsBySlot.get(slot);
+          if (pos) cfg.onBarClick(pos.data.date);
+        } : null
       });
-      
-      chartGroup.appendChild(hoverZonesGroup);
+      if (cfg.onBarClick) chartSvg.classList.add('drillable');
     }
 
     // Title will be rendered as HTML overlay for sticky positioning
     // Store title in config for later use
     const titleText = cfg.title || null;
 
-    return { yAxisSvg, chartSvg, innerHeight, titleText, hoverData };
+    return { yAxisSvg, rightAxisSvg, chartSvg, innerHeight, titleText, hoverData };
   }
 
   // ============================================================================
@@ -1234,25 +3063,70 @@
     return 4;
   }
 
+  /**
+   * Render one row of span labels: a centered label for each run of consecutive bars
+   * that share a group key (e.g. the day under a run of hours), with a boundary line
+   * where the group changes
+   * @param {SVGElement} xAxisGroup - Group to render into
+   * @param {Array} aggregatedData - Bars ({date} keys)
+   * @param {number} barStep - Bar step width
+   * @param {Function} getKey - Bar date key -> group key
+   * @param {Function} getLabel - Group key -> label text
+   * @param {number} y - Label baseline
+   * @param {string} className - Label class
+   * @param {Object} boundaryAttrs - Attributes for the boundary line (y2, class, ...)
+   */
+  function renderSpanLabels(xAxisGroup, aggregatedData, barStep, getKey, getLabel, y, className, boundaryAttrs) {
+    let startIdx = 0;
+    for (let i = 1; i <= aggregatedData.length; i++) {
+      const key = getKey(aggregatedData[startIdx].date);
+      if (i < aggregatedData.length && getKey(aggregatedData[i].date) === key) continue;
+
+      const startX = startIdx * barStep + barStep / 2;
+      const endX = (i - 1) * barStep + barStep / 2;
+      const label = createSVGElement('text', {
+        x: (startX + endX) / 2, y: y,
+        class: className,
+        'text-anchor': 'middle'
+      });
+      label.textContent = getLabel(key);
+      xAxisGroup.appendChild(label);
+
+      if (i < aggregatedData.length) {
+        const boundaryX = i * barStep;
+        xAxisGroup.appendChild(createSVGElement('line', {
+          x1: boundaryX, y1: 0,
+          x2: boundaryX,
+          ...boundaryAttrs
+        }));
+      }
+      startIdx = i;
+    }
+  }
+
   function renderXAxis(cfg, aggregatedData, barStep, innerWidth, margin) {
     // Increase height for multi-level labels:
     // byDay: day (row 1) + month (row 2) + year (row 3)
     // byWeek: week (row 1) + quarter (row 2) + year (row 3)
-    const xAxisHeight = (cfg.chartType === 'byWeek' || cfg.chartType === 'byDay') ? 55 : 60;
+    // byHour/byMinute: time (row 1) + day (row 2) + month (row 3)
+    const isIntraday = cfg.chartType === 'byHour' || cfg.chartType === 'byMinute';
+    const xAxisHeight = (cfg.chartType === 'byWeek' || cfg.chartType === 'byDay' || isIntraday) ? 55 : 60;
     const chartGap = 5;
 
     // Empty y-axis spacer
     const xAxisYSpacer = createSVGElement('svg', {
       width: margin.left,
       height: xAxisHeight,
-      class: 'barchart-xaxis-spacer'
+      class: 'barchart-xaxis-spacer',
+      'aria-hidden': 'true'
     });
 
     // X-axis SVG (scrollable with chart)
     const xAxisSvg = createSVGElement('svg', {
       width: innerWidth + chartGap + margin.right,
       height: xAxisHeight,
-      class: 'barchart-xaxis'
+      class: 'barchart-xaxis',
+      'aria-hidden': 'true'
     });
 
     const xAxisGroup = createSVGElement('g', { transform: `translate(${chartGap}, 0)` });
@@ -1308,6 +3182,28 @@
           // Show just the day number (month/year are rendered separately below)
           const parts = d.date.split('-');
           labelText = parts[2]; // Just the day: "15"
+        } else if (cfg.chartType === 'byQuarter') {
+          const [year, quarter] = d.date.split('-Q');
+          labelText = `Q${quarter}`;
+
+          if (!processedYears.has(year)) {
+            processedYears.add(year);
+            const yearLabel = createSVGElement('text', {
+              x: x, y: 35,
+              class: 'year-label',
+              'text-anchor': 'middle'
+            });
+            yearLabel.textContent = year;
+            xAxisGroup.appendChild(yearLabel);
+          }
+        } else if (cfg.chartType === 'byHour') {
+          // Show just the hour: "14" (day/month are rendered separately below)
+          labelText = d.date.split(' ')[1].split(':')[0];
+        } else if (cfg.chartType === 'byMinute') {
+          // Show just the time: "14:05"
+          labelText = d.date.split(' ')[1];
+        } else if (cfg.chartType === 'byHourOfDay') {
+          labelText = `${d.date}:00`;
         }
 
         const label = createSVGElement('text', {
@@ -1512,139 +3408,383 @@
       }
     }
 
+    // For byHour/byMinute mode: render day and month labels on separate rows
+    if (isIntraday && aggregatedData.length > 0) {
+      const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+      // Day row: "2025-02-15 14:00" -> "15"
+      renderSpanLabels(xAxisGroup, aggregatedData, barStep,
+        date => date.split(' ')[0],
+        dayKey => String(parseInt(dayKey.split('-')[2])),
+        35, 'week-label',
+        { y2: xAxisHeight - 10, class: 'axis-tick', 'stroke-dasharray': '2,2', 'stroke-opacity': '0.4' });
+
+      // Month row: "2025-02-15 14:00" -> "Feb 2025"
+      renderSpanLabels(xAxisGroup, aggregatedData, barStep,
+        date => date.slice(0, 7),
+        monthKey => `${monthNames[parseInt(monthKey.split('-')[1]) - 1]} ${monthKey.split('-')[0]}`,
+        45, 'year-label',
+        { y2: xAxisHeight, class: 'axis-line', 'stroke-width': '1' });
+    }
+
     return { xAxisYSpacer, xAxisSvg };
   }
 
   // ============================================================================
-  // UNIFIED CHART FUNCTION
+  // OVERVIEW RENDERER
   // ============================================================================
 
   /**
-   * Create a chart with one or more timeSeries
-   * 
-   * Unified API that handles:
-   * - Single timeSeries bar/high-low charts
-   * - Multi-timeSeries staggered/stacked charts  
-   * - Multi-panel charts with different y-axes
-   * 
-   * @param {Object} config - Configuration object
-   * @param {string|HTMLElement} config.container - Container element or selector
-   * @param {Array} config.data - Shared data array (can be overridden per-timeSeries)
-   * @param {string} config.chartType - X-axis grouping: 'byDay', 'byWeek', 'byMonth', 'byYear', 'byWeekday'
-   * @param {Array} config.timeSeries - Array of timeSeries configurations
-   * @param {number} [config.visibleWidth=800] - Visible chart width
-   * @param {number} [config.chartHeight=200] - Height per chart panel
-   * @param {Object} [config.margin] - Chart margins
-   * @param {number} [config.barMinWidth=8] - Minimum bar width
-   * @param {boolean} [config.showTooltip=true] - Show tooltips
-   * @param {boolean} [config.showGrid=true] - Show grid lines
-   * @param {boolean} [config.scrollToEnd=false] - Initially scroll to rightmost bar
-   * @returns {HTMLElement} The chart container element
-   * 
-   * @example
-   * // Single timeSeries bar chart
-   * Barchart.createChart({
-   *   container: '#chart',
-   *   data: dailyData,
-   *   chartType: 'byDay',
-   *   timeSeries: [{
-   *     renderType: 'bar',
-   *     title: 'Daily Values',
-   *     yAxisLabel: 'Value'
-   *   }]
-   * });
-   * 
-   * @example
-   * // Multi-timeSeries staggered chart
-   * Barchart.createChart({
-   *   container: '#chart',
-   *   data: staggeredData,  // [{date, values: [v1, v2, ...]}]
-   *   chartType: 'byDay',
-   *   timeSeries: [
-   *     { label: 'Price', color: '#4a90d9' },
-   *     { label: 'Fee', color: '#e74c3c' },
-   *     { label: 'Tax', color: '#2ecc71' }
-   *   ],
-   *   renderType: 'staggered'
-   * });
-   * 
-   * @example
-   * // Multi-panel chart with different render types
-   * Barchart.createChart({
-   *   container: '#chart',
-   *   chartType: 'byDay',
-   *   timeSeries: [
-   *     { data: data1, renderType: 'bar', title: 'Requests', yAxisLabel: 'Count' },
-   *     { data: data2, renderType: 'high-low', title: 'Response Time', yAxisLabel: 'ms' }
-   *   ]
-   * });
+   * Render the overview strip: the whole date domain as mini bars with a selection window
+   * @param {Array<number|null>} values - One value per domain slot (null for gaps)
+   * @param {number} width - Width of the strip's plot area
+   * @param {Object} margin - Chart margins (left/right align the strip with the panels)
+   * @param {Object} [options]
+   * @param {number} [options.height=40] - Strip height
+   * @param {string} [options.color='#4a90d9'] - Mini bar color
+   * @returns {Object} { overviewYSpacer, overviewSvg, slotWidth, setSelection }
    */
-  function createChart(config) {
-    const defaults = {
-      container: null,
-      timeSeries: [],          // Array of timeSeries configs (each with its own data)
-      chartType: 'byDay',      // Shared x-axis grouping
-      renderType: null,        // Top-level renderType for multi-series (staggered/stacked)
-      visibleWidth: 800,       // Visible width (scrollable if content exceeds)
-      chartHeight: 200,        // Height per chart panel
-      margin: { top: 30, right: 10, bottom: 10, left: 70 },
-      barMinWidth: 8,          // Minimum bar width
-      showTooltip: true,
-      showGrid: true,
-      tooltipFormatter: null,  // Custom tooltip formatter: (data, seriesConfig) => string|HTML
-      scrollToEnd: false,      // Scroll initially to the rightmost bar
-      title: '',               // Chart title (for single-panel charts)
-      yAxisLabel: '',          // Y-axis label (for single-panel charts)
-      useThousandSeparator: true, // Use thousand separators in number formatting
-      // Default series colors
-      colors: ['#4a90d9', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22']
+  function renderOverview(values, width, margin, options = {}) {
+    const height = options.height || 40;
+    const chartGap = 5;
+    const padding = 4;
+    const slotWidth = width / Math.max(1, values.length);
+    const definedValues = values.filter(v => v !== null && v !== undefined);
+    const maxValue = Math.max(0, ...definedValues);
+    const minValue = Math.min(0, ...definedValues);
+
+    // Empty y-axis spacer
+    const overviewYSpacer = createSVGElement('svg', {
+      width: margin.left,
+      height: height,
+      class: 'barchart-overview-spacer',
+      'aria-hidden': 'true'
+    });
+
+    const overviewSvg = createSVGElement('svg', {
+      width: width + chartGap + margin.right,
+      height: height,
+      class: 'barchart-overview',
+      'aria-hidden': 'true'
+    });
+
+    const group = createSVGElement('g', { transform: `translate(${chartGap}, 0)` });
+    overviewSvg.appendChild(group);
+
+    group.appendChild(createSVGElement('rect', {
+      x: 0, y: 0, width: width, height: height,
+      class: 'overview-background'
+    }));
+
+    // Mini bars
+    const barsGroup = createSVGElement('g', { class: 'overview-bars' });
+    const innerHeight = height - padding * 2;
+    const range = maxValue - minValue;
+    // Bars grow up or down from the zero line (the bottom without negative values)
+    const baseY = padding + (range > 0 ? (maxValue / range) * innerHeight : innerHeight);
+    values.forEach((value, i) => {
+      if (value === null || value === undefined || value === 0 || range === 0) return;
+      const barHeight = Math.max(1, (Math.abs(value) / range) * innerHeight);
+      barsGroup.appendChild(createSVGElement('rect', {
+        x: i * slotWidth,
+        y: value > 0 ? baseY - barHeight : baseY,
+        width: Math.max(0.5, slotWidth * 0.8),
+        height: barHeight,
+        class: 'overview-bar',
+        fill: options.color || '#4a90d9'
+      }));
+    });
+    group.appendChild(barsGroup);
+
+    // Dimmed areas outside the selection, and the selection window itself
+    const maskLeft = createSVGElement('rect', { x: 0, y: 0, width: 0, height: height, class: 'overview-mask' });
+    const maskRight = createSVGElement('rect', { x: width, y: 0, width: 0, height: height, class: 'overview-mask' });
+    const windowRect = createSVGElement('rect', { x: 0, y: 0.5, width: width, height: height - 1, class: 'overview-window' });
+    group.appendChild(maskLeft);
+    group.appendChild(maskRight);
+    group.appendChild(windowRect);
+
+    // Move the selection window to cover slots startSlot..endSlot (inclusive)
+    function setSelection(startSlot, endSlot) {
+      const x1 = startSlot * slotWidth;
+      const x2 = (endSlot + 1) * slotWidth;
+      maskLeft.setAttribute('width', x1);
+      maskRight.setAttribute('x', x2);
+      maskRight.setAttribute('width', Math.max(0, width - x2));
+      windowRect.setAttribute('x', x1);
+      windowRect.setAttribute('width', Math.max(1, x2 - x1));
+    }
+    setSelection(0, values.length - 1);
+
+    return { overviewYSpacer, overviewSvg, slotWidth, setSelection };
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  /**
+   * Collect the rules of the page's stylesheets (styles.css) that match elements of an exported SVG
+   * @param {SVGElement} root - Export SVG
+   * @returns {string} CSS text
+   */
+  function collectExportStyles(root) {
+    const rules = [];
+    Array.from(document.styleSheets).forEach(sheet => {
+      let cssRules;
+      try {
+        cssRules = sheet.cssRules;
+      } catch (e) {
+        return; // Cross-origin stylesheets can't be read
+      }
+      Array.from(cssRules || []).forEach(rule => {
+        // Only plain style rules; @media rules are for the page layout
+        if (!rule.selectorText) return;
+        try {
+          if (root.querySelector(rule.selectorText)) rules.push(rule.cssText);
+        } catch (e) {
+          // Pseudo-element selectors (scrollbars) can't be matched
+        }
+      });
+    });
+    return rules.join('\n');
+  }
+
+  /**
+   * Title of a panel in an export, in place of the HTML title overlay
+   * @param {string} text
+   * @param {number} x - Center
+   * @param {number} y - Top of the panel
+   * @returns {SVGTextElement}
+   */
+  function renderExportTitle(text, x, y) {
+    const title = createSVGElement('text', {
+      x, y: y + 25,
+      'text-anchor': 'middle',
+      'font-size': 14,
+      'font-weight': 600,
+      fill: '#222',
+      stroke: '#ffffff',
+      'stroke-width': 4,
+      'paint-order': 'stroke'
+    });
+    title.textContent = text;
+    return title;
+  }
+
+  /**
+   * Stitch the parts of a chart into one SVG: per panel the y-axis, the full-width chart, the right
+   * y-axis and the title, then the x-axis below them
+   * @param {Array} panels - { yAxisSvg, chartSvg, rightAxisSvg (or null), title } (the SVGs are moved into the result)
+   * @param {SVGElement|null} xAxisSvg
+   * @param {string} fontFamily
+   * @returns {SVGElement}
+   */
+  function stitchChartSvg(panels, xAxisSvg, fontFamily) {
+    const parts = [];
+    let width = 0;
+    let height = 0;
+    const place = (svg, x, y) => {
+      svg.setAttribute('x', x);
+      svg.setAttribute('y', y);
+      parts.push(svg);
     };
 
-    const cfg = { ...defaults, ...config };
+    const left = panels.length > 0 ? Number(panels[0].yAxisSvg.getAttribute('width')) : 0;
+    panels.forEach(panel => {
+      const chartWidth = Number(panel.chartSvg.getAttribute('width'));
+      place(panel.yAxisSvg, 0, height);
+      place(panel.chartSvg, left, height);
+      if (panel.rightAxisSvg) place(panel.rightAxisSvg, left + chartWidth - Number(panel.rightAxisSvg.getAttribute('width')), height);
+      if (panel.title) parts.push(renderExportTitle(panel.title, left + chartWidth / 2, height));
+
+      width = Math.max(width, left + chartWidth);
+      height += Number(panel.chartSvg.getAttribute('height'));
+    });
+
+    if (xAxisSvg) {
+      place(xAxisSvg, left, height);
+      height += Number(xAxisSvg.getAttribute('height'));
+    }
+
+    const svg = createSVGElement('svg', {
+      width, height,
+      viewBox: `0 0 ${width} ${height}`,
+      'font-family': fontFamily || 'sans-serif'
+    });
+    svg.appendChild(createSVGElement('rect', { width, height, fill: '#ffffff' }));
+    parts.forEach(part => svg.appendChild(part));
+    return svg;
+  }
+
+  /**
+   * Draw an SVG document on a canvas and encode it as PNG
+   * @param {string} svgText - Standalone SVG
+   * @param {number} width - SVG width
+   * @param {number} height - SVG height
+   * @param {number} scale - Pixels per SVG unit
+   * @returns {Promise<Blob>}
+   */
+  function rasterizeSVG(svgText, width, height, scale) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob(blob => {
+          if (blob) resolve(blob);
+          else reject(new Error('Barchart: Could not encode the PNG'));
+        }, 'image/png');
+      };
+      image.onerror = () => reject(new Error('Barchart: Could not draw the exported SVG'));
+      image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgText);
+    });
+  }
+
+  /**
+   * Quote a CSV field if needed; null, undefined and NaN become empty fields
+   * @param {*} value
+   * @returns {string}
+   */
+  function toCSVField(value) {
+    if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Write the aggregated rows of all panels as CSV: the bucket key, then value, highValue, lowValue
+   * and count (or one column per series in staggered/stacked/combo panels) of each panel
+   * @param {Array} panels - hoverData of each panel ({ cfg, aggregatedData })
+   * @param {Array<string>} dateDomain - Date keys in x-axis order
+   * @returns {string}
+   */
+  function buildCSV(panels, dateDomain) {
+    // { label, panel, value: d => raw value }
+    const columns = [];
+    panels.forEach((panel, index) => {
+      const pcfg = panel.cfg;
+      const heading = label => (panels.length > 1 ? `${pcfg.title || `Series ${index + 1}`}: ${label}` : label);
+      const addColumn = (label, value) => columns.push({ label: heading(label), panel: index, value });
+
+      if (isMultiSeries(pcfg.renderType)) {
+        const count = Math.max(0, ...panel.aggregatedData.map(d => (d.values || []).length));
+        const labels = pcfg.yAxisLabels || [];
+        for (let idx = 0; idx < count; idx++) {
+          addColumn(labels[idx] || `Series ${idx + 1}`, d => (d.values || [])[idx]);
+        }
+      } else {
+        ['value', 'highValue', 'lowValue', 'count'].forEach(field => addColumn(field, d => d[field]));
+      }
+      if (panel.aggregatedData.some(d => d.compareValue !== undefined)) {
+        addColumn('compareValue', d => d.compareValue);
+      }
+    });
+
+    const byDate = panels.map(panel => new Map(panel.aggregatedData.map(d => [d.date, d])));
+    const lines = [['date', ...columns.map(c => c.label)].map(toCSVField).join(',')];
+    dateDomain.forEach(date => {
+      lines.push([date, ...columns.map(column => {
+        const d = byDate[column.panel].get(date);
+        return d ? column.value(d) : null;
+      })].map(toCSVField).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // ============================================================================
+  // DATA PIPELINE
+  // ============================================================================
+
+  /**
+   * Turn a chart config into panels and their aggregated data (used by createChart and renderToString)
+   * @param {Function} getState - Returns the current { cfg, timeZone, drillRange } (drillRange: { start, end } or null)
+   * @returns {Object} { normalizeSeries, processData, resolveAnnotations }
+   */
+  function createDataPipeline(getState) {
+    function isInDrillRange(date) {
+      const { drillRange } = getState();
+      return !drillRange || (date >= drillRange.start && date < drillRange.end);
+    }
+
+    // Key used to merge staggered/stacked/combo series by date; intraday chart types keep the time of day
+    function formatMergeKey(date) {
+      const { cfg, timeZone } = getState();
+      return (cfg.chartType === 'byHour' || cfg.chartType === 'byMinute' || cfg.chartType === 'byHourOfDay')
+        ? formatMinute(date, timeZone)
+        : formatDay(date, timeZone);
+    }
+
+    // Check a panel's annotations and turn their dates into bucket keys of the current chartType
+    function resolveAnnotations(annotations) {
+      const { cfg, timeZone } = getState();
+      const dateKey = value => {
+        const date = parseDate(value, timeZone);
+        return isNaN(date.getTime()) ? null : getBucketKey(date, cfg.chartType, timeZone);
+      };
+      const isValue = value => value !== null && value !== '' && isFinite(value);
+      return annotations.map(a => {
+        if (a.type === 'line' && isValue(a.value)) return { ...a, value: Number(a.value) };
+        if (a.type === 'band' && isValue(a.from) && isValue(a.to)) return { ...a, from: Number(a.from), to: Number(a.to) };
+        if (a.type === 'date' && dateKey(a.date) !== null) return { ...a, key: dateKey(a.date) };
+        if (a.type === 'dateRange' && dateKey(a.from) !== null && dateKey(a.to) !== null) {
+          const [fromKey, toKey] = [dateKey(a.from), dateKey(a.to)].sort();
+          return { ...a, fromKey, toKey };
+        }
+        console.warn(`Barchart: Invalid annotation ${JSON.stringify(a)}, ignoring it`);
+        return null;
+      }).filter(Boolean);
+    }
+
+    // Normalize series configuration from the current cfg
+    function normalizeSeries() {
+      const { cfg, timeZone } = getState();
+      let normalizedSeries = [];
+
+      // Check if this is a staggered/stacked/combo chart (multi-timeSeries mode indicated by top-level renderType);
+      // 'stacked-percent' is a stacked chart with normalize
+      const renderType = cfg.renderType === 'stacked-percent' ? 'stacked' : cfg.renderType;
+      const isStaggeredOrStacked = isMultiSeries(renderType);
+      // Field accessors of a timeSeries' data (x, y, high, low), defaulting to the top-level ones
+      const fieldsOf = s => ({ x: s.x || cfg.x, y: s.y || cfg.y, high: s.high || cfg.high, low: s.low || cfg.low });
+      const definedFields = s => Object.fromEntries(['x', 'y', 'high', 'low'].filter(key => s[key]).map(key => [key, s[key]]));
+
+      if (isStaggeredOrStacked) {
+        // Multi-timeSeries mode (staggered/stacked/combo): each timeSeries has its own { date, value } data array,
+        // shown as one panel with a values array per date
+        const seriesLabels = cfg.timeSeries.map(s => s.label || s.title || getTransformLabel(s.transform));
+        const seriesColors = cfg.timeSeries.map((s, idx) => s.color || s.barColor || cfg.colors[idx % cfg.colors.length]);
+        // Series with yAxis: 'right' share a secondary axis; the first one's axis options apply
+        const rightSeries = cfg.timeSeries.find(s => s.yAxis === 'right');
+        if (rightSeries && renderType === 'stacked') {
+          console.warn('Barchart: yAxis "right" is not supported in stacked charts');
+        }
+        const useRightAxis = rightSeries && renderType !== 'stacked';
+
+        // processData merges the timeSeries by date
+        const sources = cfg.timeSeries.map(s => ({ data: s.data || [], fields: fieldsOf(s) }));
 
-    // Normalize series configuration
-    let normalizedSeries = [];
-    
-    // Check if this is a staggered/stacked chart (multi-timeSeries mode indicated by top-level renderType)
-    const isStaggeredOrStacked = cfg.renderType === 'staggered' || cfg.renderType === 'stacked';
-    
-    if (cfg.timeSeries && cfg.timeSeries.length > 0) {
-      if (isStaggeredOrStacked) {
-        // Multi-timeSeries mode (staggered/stacked): each timeSeries has its own { date, value } data array
-        // Merge all timeSeries data arrays into a combined format with values array
-        const seriesLabels = cfg.timeSeries.map(s => s.label || s.title || '');
-        const seriesColors = cfg.timeSeries.map((s, idx) => s.color || s.barColor || cfg.colors[idx % cfg.colors.length]);
-        
-        // Collect all dates from all timeSeries
-        const dateValueMap = new Map(); // date string -> { date, values: [] }
-        const seriesCount = cfg.timeSeries.length;
-        
-        cfg.timeSeries.forEach((s, seriesIdx) => {
-          const seriesData = s.data || [];
-          seriesData.forEach(d => {
-            const dateStr = d.date instanceof Date 
-              ? d.date.toISOString().split('T')[0] 
-              : new Date(d.date).toISOString().split('T')[0];
-            
-            if (!dateValueMap.has(dateStr)) {
-              // Initialize with nulls for all series
-              dateValueMap.set(dateStr, { date: dateStr, values: new Array(seriesCount).fill(null) });
-            }
-            // Set this series' value at the correct index
-            dateValueMap.get(dateStr).values[seriesIdx] = d.value;
-          });
-        });
-        
-        // Convert to array and sort by date
-        const chartData = Array.from(dateValueMap.values()).sort((a, b) => a.date.localeCompare(b.date));
-        
         normalizedSeries = [{
-          data: chartData,
-          renderType: cfg.renderType,
+          sources,
+          renderType,
+          normalize: renderType === 'stacked' && (cfg.renderType === 'stacked-percent' || !!cfg.normalize),
           title: cfg.title || '',
           yAxisLabel: cfg.yAxisLabel || '',
           yAxisLabels: seriesLabels,
           staggeredColors: seriesColors,
+          // Combo: each timeSeries' own renderType ('bar', 'line', 'area' or 'step')
+          seriesTypes: cfg.timeSeries.map(s => s.renderType || 'bar'),
+          seriesAxes: cfg.timeSeries.map(s => (useRightAxis && s.yAxis === 'right' ? 'right' : 'left')),
+          rightAxis: useRightAxis ? {
+            yAxisLabel: rightSeries.yAxisLabel || '',
+            yAxisScale: rightSeries.yAxisScale || 'linear',
+            yAxisFormat: rightSeries.yAxisFormat || 'none',
+            yAxisDecimals: rightSeries.yAxisDecimals !== undefined ? rightSeries.yAxisDecimals : 2,
+            yAxisStartAtZero: rightSeries.yAxisStartAtZero !== undefined ? rightSeries.yAxisStartAtZero : true
+          } : null,
           barColor: seriesColors[0],
           highLowColor: '#2c5aa0',
           avgMarkerColor: '#ff6b6b',
@@ -1653,6 +3793,12 @@
           yAxisDecimals: cfg.yAxisDecimals !== undefined ? cfg.yAxisDecimals : 2,
           useThousandSeparator: cfg.useThousandSeparator !== undefined ? cfg.useThousandSeparator : true,
           yAxisStartAtZero: cfg.yAxisStartAtZero !== undefined ? cfg.yAxisStartAtZero : true,
+          aggregation: cfg.aggregation,
+          aggregations: cfg.timeSeries.map(s => s.aggregation || cfg.aggregation),
+          transforms: cfg.timeSeries.map(s => s.transform || null),
+          compareTo: resolveCompareTo(cfg.compareTo, renderType),
+          annotations: cfg.timeSeries.flatMap(s => s.annotations || []),
+          aggregationLabel: cfg.aggregationLabel,
           tooltipFormatter: cfg.tooltipFormatter
         }];
       } else {
@@ -1660,13 +3806,13 @@
         // or timeSeries with label/color only (legacy multi-timeSeries detection)
         const hasSeriesRenderType = cfg.timeSeries.some(s => s.renderType);
         const isMultiPanel = hasSeriesRenderType || cfg.timeSeries.every(s => s.data || s.renderType);
-        
+
         if (isMultiPanel || cfg.timeSeries.some(s => s.renderType)) {
           // Multi-panel mode: each timeSeries is a separate chart panel
           // First timeSeries with data provides fallback for others
           const firstSeriesWithData = cfg.timeSeries.find(s => s.data && s.data.length > 0);
           const sharedData = firstSeriesWithData ? firstSeriesWithData.data : [];
-          
+
           normalizedSeries = cfg.timeSeries.map((s, idx) => ({
             data: s.data || sharedData,
             renderType: s.renderType || 'bar',
@@ -1674,7 +3820,9 @@
             yAxisLabel: s.yAxisLabel || '',
             yAxisLabels: s.yAxisLabels || s.labels || [],
             barColor: s.barColor || s.color || cfg.colors[idx % cfg.colors.length],
-            highLowColor: s.highLowColor || s.color || '#2c5aa0',
+            // A conditional barColor (function, thresholds or scale) colors high-low bars as well
+            highLowColor: s.highLowColor || s.color || (isConditionalColor(s.barColor) ? s.barColor : '#2c5aa0'),
+            negativeColor: s.negativeColor !== undefined ? s.negativeColor : cfg.negativeColor,
             avgMarkerColor: s.avgMarkerColor || '#ff6b6b',
             staggeredColors: s.colors || s.staggeredColors || cfg.colors,
             yAxisScale: s.yAxisScale || 'linear',
@@ -1682,284 +3830,606 @@
             yAxisDecimals: s.yAxisDecimals !== undefined ? s.yAxisDecimals : 2,
             useThousandSeparator: s.useThousandSeparator !== undefined ? s.useThousandSeparator : cfg.useThousandSeparator,
             yAxisStartAtZero: s.yAxisStartAtZero !== undefined ? s.yAxisStartAtZero : true,
+            aggregation: s.aggregation || cfg.aggregation,
+            transform: s.transform || null,
+            // Panels that inherit the data also inherit its accessors
+            fields: s.data ? fieldsOf(s) : { ...fieldsOf(firstSeriesWithData || {}), ...definedFields(s) },
+            compareTo: resolveCompareTo(s.compareTo !== undefined ? s.compareTo : cfg.compareTo, s.renderType || 'bar'),
+            annotations: s.annotations || [],
+            // Tooltips name the transformed value (e.g. 'Moving avg (7)') instead of the aggregation
+            aggregationLabel: s.aggregationLabel || cfg.aggregationLabel || getTransformLabel(s.transform),
             tooltipFormatter: s.tooltipFormatter || cfg.tooltipFormatter
           }));
         }
       }
-    } else {
-      // No timeSeries provided - return early with warning
-      console.warn('Barchart: No timeSeries provided');
-      return null;
-    }
 
-    // Validate that we have data
-    if (normalizedSeries.length === 0 || !normalizedSeries[0].data || normalizedSeries[0].data.length === 0) {
-      console.warn('Barchart: No valid data in timeSeries');
-      return null;
+      return normalizedSeries;
     }
 
     // Helper function to normalize and aggregate data for a single dataset
-    function processData(rawData, seriesCfg) {
-      // For staggered/stacked charts, preserve the values array without filtering by value
-      if (seriesCfg && (seriesCfg.renderType === 'staggered' || seriesCfg.renderType === 'stacked')) {
-        return rawData.map(d => ({
-          date: (d.date instanceof Date ? d.date : new Date(d.date)).toISOString().split('T')[0],
-          values: d.values || []
-        })).filter(d => d.date !== 'Invalid Date');
+    // (caches: bucket caches by timeSeries index of data grown through chart.append, see foldPoints;
+    // index: the panel's timeSeries index)
+    function processData(seriesCfg, caches = null, index = 0) {
+      const { cfg, timeZone, drillRange } = getState();
+      // A staggered/stacked/combo panel whose data has a values array per date
+      if (seriesCfg && isMultiSeries(seriesCfg.renderType) && !seriesCfg.sources) {
+        return processValues(seriesCfg.data || [], seriesCfg);
       }
-      
-      const normalized = rawData.map(d => ({
-        date: d.date instanceof Date ? d.date : new Date(d.date),
-        value: Number(d.value),
-        highValue: d.highValue !== undefined ? Number(d.highValue) : undefined,
-        lowValue: d.lowValue !== undefined ? Number(d.lowValue) : undefined
-      })).filter(d => !isNaN(d.date.getTime()) && !isNaN(d.value));
-
-      if (normalized.length === 0) {
-        return [];
+      // For staggered/stacked/combo charts, merge the series into values arrays without filtering by value
+      if (seriesCfg && isMultiSeries(seriesCfg.renderType)) {
+        const aggregations = seriesCfg.aggregations || [];
+        const seriesTransforms = seriesCfg.transforms || [];
+        const passThrough = cfg.chartType === 'byDay' && !aggregations.some(Boolean);
+        // Without aggregations and transforms, dates where a series has no value keep a null
+        const keepEmpty = passThrough && !seriesTransforms.some(Boolean);
+
+        // Aggregate and transform each series on its own (each may use a different aggregation),
+        // then merge the buckets back into values arrays
+        const seriesCount = seriesCfg.sources.length;
+        const buckets = new Map();
+        seriesCfg.sources.forEach((source, seriesIdx) => {
+          const cache = streamCache(caches, seriesIdx, source.data);
+          const aggregation = aggregations[seriesIdx];
+          const points = cache && !drillRange
+            ? foldSeriesPoints(cache, source, aggregation, passThrough, keepEmpty)
+            : seriesPoints(source, aggregation, passThrough, keepEmpty);
+          (keepEmpty ? points : applyTransform(points, seriesTransforms[seriesIdx])).forEach(a => {
+            if (!buckets.has(a.date)) {
+              buckets.set(a.date, { date: a.date, values: new Array(seriesCount).fill(null) });
+            }
+            buckets.get(a.date).values[seriesIdx] = a.value;
+          });
+        });
+        return Array.from(buckets.values()).sort((a, b) => a.date.localeCompare(b.date));
       }
 
-      // Aggregate data based on chartType
-      if (cfg.chartType !== 'byDay') {
-        return aggregates(normalized, cfg.chartType);
+      const rawData = seriesCfg.data || [];
+      const cache = streamCache(caches, index, rawData);
+      let normalized = null;
+      let points;
+      if (cache && !drillRange) {
+        points = transformPoints(foldPoints(cache, rawData, seriesCfg), seriesCfg);
       } else {
-        return normalized.map(d => ({
-          date: d.toISOString ? d.toISOString().split('T')[0] : d.date.toISOString().split('T')[0],
-          value: d.value,
-          highValue: d.highValue || d.value,
-          lowValue: d.lowValue || d.value,
-          count: 1
-        }));
+        normalized = readPoints(rawData, getAccessors(seriesCfg.fields), timeZone);
+
+        const inRange = drillRange ? normalized.filter(d => isInDrillRange(d.date)) : normalized;
+        if (inRange.length === 0) {
+          return [];
+        }
+
+        points = bucketPoints(inRange, seriesCfg);
       }
+      if (!seriesCfg.compareTo || points.length === 0 || !getBucketRange(points[0].date, cfg.chartType, timeZone)) return points;
+
+      // The compared buckets may lie outside the drill-down range (e.g. the month before)
+      const previous = new Map((drillRange ? bucketPoints(normalized, seriesCfg) : points).map(d => [d.date, d.value]));
+      return points.map(d => {
+        const key = getComparisonKey(d.date, cfg.chartType, seriesCfg.compareTo, timeZone);
+        return { ...d, compareValue: previous.has(key) ? previous.get(key) : null };
+      });
     }
 
-    // Process data for each series
-    let sharedAggregatedData = [];
-    const seriesDataSets = [];
-    
-    normalizedSeries.forEach((seriesCfg, index) => {
-      const seriesData = seriesCfg.data || [];
-      const aggregated = processData(seriesData, seriesCfg);
-      seriesDataSets.push(aggregated);
-      
-      // Use the first series' data for x-axis
-      if (index === 0) {
-        sharedAggregatedData = aggregated;
+    // processData of { date, values } data, preserving the values arrays without filtering by value
+    function processValues(rawData, seriesCfg) {
+      const { cfg, timeZone } = getState();
+      const merged = rawData.map(d => ({
+        date: parseDate(d.date, timeZone),
+        values: d.values || []
+      })).filter(d => !isNaN(d.date.getTime()) && isInDrillRange(d.date)).map(d => ({
+        date: formatMergeKey(d.date),
+        values: d.values
+      }));
+
+      const aggregations = seriesCfg.aggregations || [];
+      const seriesTransforms = seriesCfg.transforms || [];
+      const passThrough = cfg.chartType === 'byDay' && !aggregations.some(Boolean);
+      if (passThrough && !seriesTransforms.some(Boolean)) {
+        return merged;
       }
-    });
 
-    // Validate we have data to render
-    if (sharedAggregatedData.length === 0) {
-      console.warn('Barchart: No valid data points provided');
-      return null;
+      // Aggregate and transform each series on its own, then merge the buckets back into values arrays
+      const seriesCount = merged.reduce((max, d) => Math.max(max, d.values.length), 0);
+      const buckets = new Map();
+      for (let seriesIdx = 0; seriesIdx < seriesCount; seriesIdx++) {
+        const column = merged
+          .filter(d => d.values[seriesIdx] !== null && d.values[seriesIdx] !== undefined)
+          .map(d => ({ date: d.date, value: d.values[seriesIdx] }));
+        const points = passThrough ? column : aggregates(column, cfg.chartType, aggregations[seriesIdx], timeZone);
+        applyTransform(points, seriesTransforms[seriesIdx]).forEach(a => {
+          if (!buckets.has(a.date)) {
+            buckets.set(a.date, { date: a.date, values: new Array(seriesCount).fill(null) });
+          }
+          buckets.get(a.date).values[seriesIdx] = a.value;
+        });
+      }
+      return Array.from(buckets.values()).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // The bucket cache of a timeSeries' data, or null. Once data is appended to, every series
+    // keeps one, so a redraw only reads the new points of each
+    function streamCache(caches, index, data) {
+      if (!caches || Object.keys(caches).length === 0) return null;
+      if (!caches[index] || caches[index].source !== data) caches[index] = { source: data };
+      return caches[index];
+    }
+
+    // Aggregate parsed points into buckets based on chartType (byDay is passed through unless an
+    // aggregation is set), then apply the series' transform
+    function bucketPoints(normalized, seriesCfg) {
+      const { cfg, timeZone } = getState();
+      const points = isPassThrough(seriesCfg)
+        ? normalized.map(toDayPoint)
+        : aggregates(normalized, cfg.chartType, seriesCfg.aggregation, timeZone);
+      return transformPoints(points, seriesCfg);
+    }
+
+    // byDay data without an aggregation keeps one bar per point
+    function isPassThrough(seriesCfg) {
+      return getState().cfg.chartType === 'byDay' && !seriesCfg.aggregation;
+    }
+
+    function toDayPoint(d) {
+      return {
+        date: formatDay(d.date, getState().timeZone),
+        value: d.value,
+        highValue: d.highValue || d.value,
+        lowValue: d.lowValue || d.value,
+        count: 1
+      };
+    }
+
+    // Transforms run on the buckets; buckets they leave without a value (e.g. the start of a
+    // moving average) are dropped
+    function transformPoints(points, seriesCfg) {
+      if (!seriesCfg.transform) return points;
+      return applyTransform(points, seriesCfg.transform).filter(d => d.value !== null);
+    }
+
+    // Buckets of data that only grows at the end (chart.append). The cache remembers how many
+    // points it has read and the points of each bucket, so only the new points are read and only
+    // the buckets they fall into are aggregated again
+    function foldPoints(cache, rawData, seriesCfg) {
+      const { cfg, timeZone } = getState();
+      const fields = seriesCfg.fields || {};
+      const settings = [cfg.chartType, timeZone, seriesCfg.aggregation, fields.x, fields.y, fields.high, fields.low];
+      if (!cache.settings || settings.some((value, i) => value !== cache.settings[i])) {
+        Object.assign(cache, {
+          settings, accessors: getAccessors(fields), length: 0, groups: new Map(), buckets: new Map(), dayPoints: []
+        });
+      }
+
+      const added = readPoints(rawData.slice(cache.length), cache.accessors, timeZone, cache.length);
+      cache.length = rawData.length;
+
+      if (isPassThrough(seriesCfg)) {
+        added.forEach(d => cache.dayPoints.push(toDayPoint(d)));
+        return cache.dayPoints.slice();
+      }
+
+      const changed = new Set();
+      added.forEach(d => {
+        const key = getBucketKey(d.date, cfg.chartType, timeZone);
+        if (!cache.groups.has(key)) cache.groups.set(key, []);
+        cache.groups.get(key).push(d);
+        changed.add(key);
+      });
+      changed.forEach(key => {
+        cache.buckets.set(key, aggregates(cache.groups.get(key), cfg.chartType, seriesCfg.aggregation, timeZone)[0]);
+      });
+      return Array.from(cache.buckets.values()).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Read one staggered/stacked/combo series into values by merge key (the last point of a date
+    // wins; values that are not numbers become null) and return the keys it set
+    function mergeValues(data, accessors, offset, values) {
+      const { timeZone } = getState();
+      const keys = new Set();
+      data.forEach((d, i) => {
+        const date = parseDate(accessors.x(d, offset + i), timeZone);
+        if (isNaN(date.getTime())) return;
+        const key = formatMergeKey(date);
+        const value = accessors.y(d, offset + i);
+        const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+        values.set(key, isFinite(number) ? number : null);
+        keys.add(key);
+      });
+      return keys;
     }
 
-    // Use the first series' data length for bar count (all should be aligned)
-    const aggregatedData = sharedAggregatedData;
+    // The { date, value } points of merge keys in date order (keepEmpty: with the null values)
+    function mergedPoints(keys, values, keepEmpty) {
+      return Array.from(keys).sort()
+        .filter(key => keepEmpty || values.get(key) !== null)
+        .map(key => ({ date: key, value: values.get(key) }));
+    }
+
+    // One series of a staggered/stacked/combo chart, aggregated into buckets unless passThrough
+    function seriesPoints(source, aggregation, passThrough, keepEmpty) {
+      const { cfg, timeZone } = getState();
+      const values = new Map();
+      const keys = Array.from(mergeValues(source.data, getAccessors(source.fields), 0, values))
+        .filter(key => isInDrillRange(parseDate(key, timeZone)));
+      const points = mergedPoints(keys, values, keepEmpty);
+      return passThrough ? points : aggregates(points, cfg.chartType, aggregation, timeZone);
+    }
+
+    // seriesPoints of data that only grows at the end (chart.append), like foldPoints: only the
+    // new points are read and only the buckets they fall into are aggregated again
+    function foldSeriesPoints(cache, source, aggregation, passThrough, keepEmpty) {
+      const { cfg, timeZone } = getState();
+      const settings = ['merge', cfg.chartType, timeZone, aggregation, passThrough, source.fields.x, source.fields.y];
+      if (!cache.settings || settings.some((value, i) => value !== cache.settings[i])) {
+        Object.assign(cache, {
+          settings, accessors: getAccessors(source.fields), length: 0, values: new Map(), groups: new Map(), buckets: new Map()
+        });
+      }
+
+      const added = mergeValues(source.data.slice(cache.length), cache.accessors, cache.length, cache.values);
+      cache.length = source.data.length;
+
+      if (passThrough) return mergedPoints(cache.values.keys(), cache.values, keepEmpty);
 
-    // Calculate dimensions
-    const barCount = aggregatedData.length;
+      const changed = new Set();
+      added.forEach(key => {
+        const bucketKey = getBucketKey(parseDate(key, timeZone), cfg.chartType, timeZone);
+        if (!cache.groups.has(bucketKey)) cache.groups.set(bucketKey, new Set());
+        cache.groups.get(bucketKey).add(key);
+        changed.add(bucketKey);
+      });
+      changed.forEach(bucketKey => {
+        const points = mergedPoints(cache.groups.get(bucketKey), cache.values, false);
+        if (points.length > 0) cache.buckets.set(bucketKey, aggregates(points, cfg.chartType, aggregation, timeZone)[0]);
+        else cache.buckets.delete(bucketKey);
+      });
+      return Array.from(cache.buckets.values()).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return { normalizeSeries, processData, resolveAnnotations };
+  }
+
+  /**
+   * Horizontal layout of the bars, shared by all panels and the x-axis
+   * @param {Object} cfg - Chart configuration (visibleWidth, margin, barMinWidth)
+   * @param {Array} normalizedSeries - Panels from normalizeSeries
+   * @param {number} barCount - Number of x slots
+   * @returns {Object} { margin, rightAxisWidth, innerWidth, barStep, barWidth }
+   */
+  function layoutBars(cfg, normalizedSeries, barCount) {
     const barPadding = 0.2;
     const minContentWidth = barCount * cfg.barMinWidth / (1 - barPadding);
-    const innerWidth = Math.max(cfg.visibleWidth - cfg.margin.left - cfg.margin.right, minContentWidth);
+    // A right y-axis (as wide as the left one) covers the right edge of every row; extra margin
+    // lets the last bars scroll out from under it
+    const rightAxisWidth = normalizedSeries.some(s => s.rightAxis) ? cfg.margin.left : 0;
+    const margin = rightAxisWidth ? { ...cfg.margin, right: cfg.margin.right + rightAxisWidth } : cfg.margin;
+    const innerWidth = Math.max(cfg.visibleWidth - cfg.margin.left - margin.right, minContentWidth);
     const barStep = innerWidth / barCount;
     const barWidth = Math.max(1, barStep * (1 - barPadding));
+    return { margin, rightAxisWidth, innerWidth, barStep, barWidth };
+  }
 
-    // Create tooltip
-    let tooltip = null;
-    if (cfg.showTooltip) {
-      tooltip = document.createElement('div');
-      tooltip.className = 'chart-tooltip';
-      tooltip.style.display = 'none';
-      document.body.appendChild(tooltip);
+  /**
+   * Sliding window of the x-domain (the maxBuckets option)
+   * @param {Array<string>} domain - Sorted date keys
+   * @param {number} [maxBuckets] - Number of latest keys to keep; anything but a positive number keeps all
+   * @returns {Array<string>}
+   */
+  function windowDomain(domain, maxBuckets) {
+    return maxBuckets > 0 && domain.length > maxBuckets ? domain.slice(-maxBuckets) : domain;
+  }
+
+  // ============================================================================
+  // UNIFIED CHART FUNCTION
+  // ============================================================================
+
+  // Counter for unique element ids (aria-describedby)
+  let chartCount = 0;
+
+  // Options of createChart and renderToString
+  const chartDefaults = {
+    container: null,
+    timeSeries: [],          // Array of timeSeries configs (each with its own data)
+    chartType: 'byDay',      // Shared x-axis grouping
+    renderType: null,        // Top-level renderType for multi-series (staggered/stacked/stacked-percent/combo)
+    normalize: false,        // Stacked: draw each series' share of the bar (100% stacked)
+    visibleWidth: 800,       // Visible width (scrollable if content exceeds)
+    chartHeight: 200,        // Height per chart panel
+    margin: { top: 30, right: 10, bottom: 10, left: 70 },
+    barMinWidth: 8,          // Minimum bar width
+    showTooltip: true,
+    showGrid: true,
+    tooltipFormatter: null,  // Custom tooltip formatter: (data, seriesConfig) => string|HTML
+    scrollToEnd: false,      // Scroll initially to the rightmost bar
+    title: '',               // Chart title (for single-panel charts)
+    yAxisLabel: '',          // Y-axis label (for single-panel charts)
+    useThousandSeparator: true, // Use thousand separators in number formatting
+    timeZone: 'local',       // Time zone for parsing and bucketing dates: 'local', 'UTC' or an IANA name
+    drillDown: false,        // Click a bar to drill into it: true or a map like { byMonth: 'byWeek' }
+    drillRootLabel: 'All',   // Label of the top breadcrumb level
+    showOverview: false,     // Overview strip below the x-axis for selecting the zoom range
+    overviewHeight: 40,      // Height of the overview strip
+    brushZoom: false,        // Click and drag across bars to zoom to them
+    ariaLabel: '',           // Accessible name of the chart (defaults to the panel titles)
+    accessibleTable: false,  // Add a visually hidden data table for screen readers
+    legend: 'top',           // Legend of staggered/stacked/combo panels: 'top', 'bottom', 'right' or false
+    renderer: 'svg',         // 'svg', or 'canvas' for very large series
+    virtualize: true,        // SVG: keep only the bars near the visible range in the DOM
+    aggregation: null,       // Bucket aggregation: 'sum', 'avg', 'median', 'min', 'max', 'first', 'last', 'count', 'pN' or (values, points) => number
+    compareTo: null,         // Ghost bars of the compared buckets: 'previousPeriod' or 'previousYear'
+    negativeColor: '#e74c3c', // Color of negative bars in single-color bar and high-low panels (null to keep the bar color)
+    annotations: [],         // Reference lines, bands and date markers of every panel
+    maxBuckets: null,        // Sliding window: show only the latest N buckets (append() also drops older points)
+    // Default series colors
+    colors: ['#4a90d9', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22']
+  };
+
+  /**
+   * Create a chart with one or more timeSeries
+   * 
+   * Unified API that handles:
+   * - Single timeSeries bar/high-low charts
+   * - Multi-timeSeries staggered/stacked/combo charts  
+   * - Multi-panel charts with different y-axes
+   * 
+   * @param {Object} config - Configuration object
+   * @param {string|HTMLElement} config.container - Container element or selector
+   * @param {Array} config.data - Shared data array (can be overridden per-timeSeries)
+   * @param {string} config.chartType - X-axis grouping: 'byMinute', 'byHour', 'byDay', 'byWeek', 'byMonth', 'byQuarter',
+   *   'byYear', 'byWeekday', 'byHourOfDay'
+   * @param {Array} config.timeSeries - Array of timeSeries configurations
+   * @param {string|Function} [config.x] - Default date accessor of the timeSeries data (also y, high and low; see getAccessors)
+   * @param {number} [config.visibleWidth=800] - Visible chart width
+   * @param {number} [config.chartHeight=200] - Height per chart panel
+   * @param {Object} [config.margin] - Chart margins
+   * @param {number} [config.barMinWidth=8] - Minimum bar width
+   * @param {boolean} [config.showTooltip=true] - Show tooltips
+   * @param {boolean} [config.showGrid=true] - Show grid lines
+   * @param {boolean} [config.scrollToEnd=false] - Initially scroll to rightmost bar
+   * @param {string} [config.timeZone='local'] - Time zone for date parsing and grouping: 'local', 'UTC' or an IANA name
+   * @param {boolean} [config.showOverview=false] - Show an overview strip to select the zoom range
+   * @param {boolean} [config.brushZoom=false] - Drag across bars to zoom to them
+   * @param {string} [config.renderer='svg'] - 'svg', or 'canvas' to draw grid and bars on a canvas (large series)
+   * @param {boolean} [config.virtualize=true] - SVG renderer: only create the bars in and around the visible range
+   * @param {string|boolean} [config.legend='top'] - Legend of staggered/stacked/combo panels: 'top', 'bottom', 'right' or false
+   * @param {string} [config.ariaLabel] - Accessible name of the chart (defaults to the panel titles)
+   * @param {boolean} [config.accessibleTable=false] - Add a visually hidden table of the values
+   * @param {boolean|Object} [config.drillDown=false] - Enable click-to-drill-down (true or a { fromChartType: toChartType } map)
+   * @param {string|Function} [config.aggregation='avg'] - How bucket values are aggregated (can be overridden per-timeSeries)
+   * @param {string} [config.compareTo] - Ghost bars of the compared buckets: 'previousPeriod' or 'previousYear'
+   * @param {Array} [config.annotations] - Reference lines, bands and date markers of every panel
+   * @param {string} [config.negativeColor='#e74c3c'] - Color of negative bars in single-color panels
+   * @param {boolean} [config.normalize=false] - Stacked charts: draw each series' share of the bar
+   *   (renderType 'stacked-percent' is the same)
+   * @param {number} [config.maxBuckets] - Show only the latest N buckets (a sliding window for append())
+   * @returns {Object|null} Chart instance { element, setData, append, update, resize, drillDown, drillUp,
+   *   getZoom, setZoom, resetZoom, on, off, destroy },
+   *   or null if there is no data
+   * 
+   * @example
+   * // Single timeSeries bar chart
+   * Barchart.createChart({
+   *   container: '#chart',
+   *   data: dailyData,
+   *   chartType: 'byDay',
+   *   timeSeries: [{
+   *     renderType: 'bar',
+   *     title: 'Daily Values',
+   *     yAxisLabel: 'Value'
+   *   }]
+   * });
+   * 
+   * @example
+   * // Multi-timeSeries staggered chart
+   * Barchart.createChart({
+   *   container: '#chart',
+   *   data: staggeredData,  // [{date, values: [v1, v2, ...]}]
+   *   chartType: 'byDay',
+   *   timeSeries: [
+   *     { label: 'Price', color: '#4a90d9' },
+   *     { label: 'Fee', color: '#e74c3c' },
+   *     { label: 'Tax', color: '#2ecc71' }
+   *   ],
+   *   renderType: 'staggered'
+   * });
+   * 
+   * @example
+   * // Multi-panel chart with different render types
+   * Barchart.createChart({
+   *   container: '#chart',
+   *   chartType: 'byDay',
+   *   timeSeries: [
+   *     { data: data1, renderType: 'bar', title: 'Requests', yAxisLabel: 'Count' },
+   *     { data: data2, renderType: 'high-low', title: 'Response Time', yAxisLabel: 'ms' }
+   *   ]
+   * });
+   */
+  function createChart(config) {
+    let cfg = { ...chartDefaults, ...config };
+
+    if (!cfg.timeSeries || cfg.timeSeries.length === 0) {
+      // No timeSeries provided - return early with warning
+      console.warn('Barchart: No timeSeries provided');
+      return null;
     }
 
-    // Create main container
-    const mainContainer = document.createElement('div');
-    mainContainer.className = 'barchart-container';
-    mainContainer.style.width = cfg.visibleWidth + 'px';
+    // Time zone used by every date helper; re-resolved when update() changes it
+    let timeZone = resolveTimeZone(cfg.timeZone);
 
-    // Collect hover data from all chart panels for synchronized hover
-    const allChartHoverData = [];
-    const isMultiPanel = normalizedSeries.length > 1;
+    // Gap between the y-axis and the plot area (same as in renderChartPanel/renderXAxis)
+    const chartGap = 5;
 
-    // Create rows for each series (chart panel)
-    normalizedSeries.forEach((seriesCfg, index) => {
-      const row = document.createElement('div');
-      row.className = 'barchart-row';
+    // Series hidden through the legend: panel index -> array of value indices
+    const hiddenSeries = {};
 
-      // Merge config
-      const panelCfg = {
-        ...cfg,
-        ...seriesCfg,
-        innerWidth,
-        innerHeight: cfg.chartHeight,
-        margin: cfg.margin
-      };
+    // Bucket caches of a chart that data is appended to: timeSeries index -> cache (see foldPoints)
+    const bucketCaches = {};
 
-      // Use the per-series data for this panel
-      const panelData = seriesDataSets[index];
+    // Zoom state: visible range of bucket keys (inclusive), or null for everything
+    let zoomRange = null;
+    let endDrag = null;
 
-      // Pass multiChartMode=true if we have multiple panels
-      const { yAxisSvg, chartSvg, titleText, hoverData } = renderChartPanel(panelCfg, panelData, barStep, barWidth, tooltip, isMultiPanel);
-      
-      // Store hover data for synchronized hover
-      allChartHoverData.push(hoverData);
-
-      // Y-axis container (sticky)
-      const yAxisContainer = document.createElement('div');
-      yAxisContainer.className = 'barchart-yaxis-container';
-      yAxisContainer.appendChild(yAxisSvg);
-      row.appendChild(yAxisContainer);
-
-      // Chart area wrapper with title overlay
-      const chartAreaWrapper = document.createElement('div');
-      chartAreaWrapper.className = 'barchart-chart-area';
-      chartAreaWrapper.style.width = (cfg.visibleWidth - cfg.margin.left) + 'px';
-      chartAreaWrapper.style.position = 'relative';
-      
-      // Add sticky centered title overlay if title exists
-      if (titleText) {
-        const titleOverlay = document.createElement('div');
-        titleOverlay.className = 'barchart-title-overlay';
-        titleOverlay.textContent = titleText;
-        chartAreaWrapper.appendChild(titleOverlay);
-      }
-      
-      // Chart scroll container
-      const chartScrollContainer = document.createElement('div');
-      chartScrollContainer.className = 'barchart-scroll-container';
-      chartScrollContainer.appendChild(chartSvg);
-      chartAreaWrapper.appendChild(chartScrollContainer);
-      
-      row.appendChild(chartAreaWrapper);
+    // Drill-down state: one entry per level above the current one, and the date range shown
+    let drillStack = [];   // [{ chartType, range, key }]
+    let drillRange = null; // { start, end } or null for the full data
 
-      mainContainer.appendChild(row);
+    // Panels and their aggregated data, from the current cfg, time zone and drill-down range
+    const { normalizeSeries, processData, resolveAnnotations } = createDataPipeline(() => ({ cfg, timeZone, drillRange }));
 
-      // Store scroll container reference for sync
-      row._scrollContainer = chartScrollContainer;
-    });
+    // Event handlers registered through chart.on()
+    const eventHandlers = {};
 
-    // Add shared x-axis row
-    const xAxisRow = document.createElement('div');
-    xAxisRow.className = 'barchart-row barchart-xaxis-row';
+    function emit(eventName, detail) {
+      (eventHandlers[eventName] || []).forEach(handler => handler(detail));
+    }
 
-    const { xAxisYSpacer, xAxisSvg } = renderXAxis(cfg, aggregatedData, barStep, innerWidth, cfg.margin);
+    // Chart type a bar of the current chartType drills into, or null
+    function getDrillTarget() {
+      if (!cfg.drillDown) return null;
+      const path = { ...defaultDrillPath, ...(typeof cfg.drillDown === 'object' ? cfg.drillDown : {}) };
+      return path[cfg.chartType] || null;
+    }
 
-    const xAxisSpacerContainer = document.createElement('div');
-    xAxisSpacerContainer.className = 'barchart-yaxis-container';
-    xAxisSpacerContainer.appendChild(xAxisYSpacer);
-    xAxisRow.appendChild(xAxisSpacerContainer);
+    function emitDrill(direction, previousChartType) {
+      const current = drillStack[drillStack.length - 1];
+      emit('drill', {
+        direction,
+        chartType: cfg.chartType,
+        previousChartType,
+        key: current ? current.key : null,
+        range: drillRange,
+        level: drillStack.length
+      });
+    }
 
-    // X-axis area wrapper (for consistent layout with chart rows)
-    const xAxisAreaWrapper = document.createElement('div');
-    xAxisAreaWrapper.className = 'barchart-chart-area';
-    xAxisAreaWrapper.style.width = (cfg.visibleWidth - cfg.margin.left) + 'px';
-    
-    const xAxisScrollContainer = document.createElement('div');
-    xAxisScrollContainer.className = 'barchart-scroll-container barchart-xaxis-scroll';
-    xAxisScrollContainer.appendChild(xAxisSvg);
-    xAxisAreaWrapper.appendChild(xAxisScrollContainer);
-    
-    xAxisRow.appendChild(xAxisAreaWrapper);
+    // Re-render the bucket `key` of the current chartType at the next finer chartType
+    function drillInto(key) {
+      const target = getDrillTarget();
+      const range = target ? getBucketRange(key, cfg.chartType, timeZone) : null;
+      if (!range) return false;
+
+      const previousChartType = cfg.chartType;
+      drillStack.push({ chartType: previousChartType, range: drillRange, key });
+      cfg.chartType = target;
+      drillRange = range;
+      zoomRange = null;
+      render();
+      emitDrill('down', previousChartType);
+      return true;
+    }
 
-    mainContainer.appendChild(xAxisRow);
-    xAxisRow._scrollContainer = xAxisScrollContainer;
+    // Go back to a breadcrumb level (0 = top)
+    function drillTo(level) {
+      if (level < 0 || level >= drillStack.length) return false;
+
+      const previousChartType = cfg.chartType;
+      const entry = drillStack[level];
+      drillStack = drillStack.slice(0, level);
+      cfg.chartType = entry.chartType;
+      drillRange = entry.range;
+      zoomRange = null;
+      render();
+      emitDrill('up', previousChartType);
+      return true;
+    }
 
-    // Set up synchronized hover across all panels (multi-panel mode only)
-    if (isMultiPanel && tooltip && allChartHoverData.length > 0) {
-      // Get all chart scroll containers (excluding x-axis)
-      const chartRows = Array.from(mainContainer.querySelectorAll('.barchart-row:not(.barchart-xaxis-row)'));
-      
-      chartRows.forEach((row, rowIndex) => {
-        const scrollContainer = row.querySelector('.barchart-scroll-container');
-        const chartSvg = scrollContainer.querySelector('.barchart-chart');
-        if (!chartSvg) return;
-        
-        // Find the chart group (first g element with transform)
-        const chartGroup = chartSvg.querySelector('g[transform]');
-        if (!chartGroup) return;
-        
-        // Create hover zones group for this panel
-        const hoverZonesGroup = createSVGElement('g', { class: 'hover-zones' });
-        
-        const hoverData = allChartHoverData[rowIndex];
-        if (!hoverData) return;
-        
-        hoverData.barPositions.forEach((pos, i) => {
-          const hoverZone = createSVGElement('rect', {
-            x: pos.x,
-            y: 0,
-            width: barStep,
-            height: cfg.chartHeight,
-            class: 'hover-zone',
-            fill: 'transparent',
-            'pointer-events': 'all'
-          });
-          
-          hoverZone.addEventListener('mouseenter', (e) => {
-            const barCenterX = pos.barCenterX;
-            
-            // Show hover indicators on ALL panels
-            allChartHoverData.forEach(chartHover => {
-              chartHover.showHover(i, barCenterX);
-            });
-            
-            // Build combined tooltip with date header and all panel values
-            const dateLabel = hoverData.aggregatedData[i]?.date || '';
-            let tooltipContent = `<strong>${dateLabel}</strong><hr style="margin: 4px 0; border: none; border-top: 1px solid #ddd;">`;
-            
-            allChartHoverData.forEach(chartHover => {
-              tooltipContent += '<br>' + chartHover.getTooltipContent(i);
-            });
-            
-            tooltip.innerHTML = tooltipContent;
-            tooltip.style.display = 'block';
-            positionTooltip(tooltip, e);
-          });
-          
-          hoverZone.addEventListener('mousemove', (e) => {
-            positionTooltip(tooltip, e);
-          });
-          
-          hoverZone.addEventListener('mouseleave', () => {
-            // Hide hover indicators on ALL panels
-            allChartHoverData.forEach(chartHover => {
-              chartHover.hideHover();
-            });
-            tooltip.style.display = 'none';
-          });
-          
-          hoverZonesGroup.appendChild(hoverZone);
-        });
-        
-        chartGroup.appendChild(hoverZonesGroup);
+    function renderBreadcrumb() {
+      const breadcrumb = document.createElement('div');
+      breadcrumb.className = 'barchart-breadcrumb';
+
+      const labels = [cfg.drillRootLabel || 'All']
+        .concat(drillStack.map(entry => formatTooltipDate(entry.key, entry.chartType)));
+
+      labels.forEach((label, level) => {
+        if (level > 0) {
+          const separator = document.createElement('span');
+          separator.className = 'barchart-breadcrumb-separator';
+          separator.textContent = '›';
+          breadcrumb.appendChild(separator);
+        }
+        if (level < labels.length - 1) {
+          const link = document.createElement('button');
+          link.type = 'button';
+          link.className = 'barchart-breadcrumb-item';
+          link.textContent = label;
+          link.addEventListener('click', () => drillTo(level));
+          breadcrumb.appendChild(link);
+        } else {
+          const current = document.createElement('span');
+          current.className = 'barchart-breadcrumb-item current';
+          current.textContent = label;
+          breadcrumb.appendChild(current);
+        }
       });
+
+      return breadcrumb;
+    }
+
+    // Tooltip is shared by all panels and survives re-renders; destroy() removes it
+    let tooltip = null;
+
+    function syncTooltip() {
+      if (cfg.showTooltip && !tooltip) {
+        tooltip = document.createElement('div');
+        tooltip.className = 'chart-tooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.style.display = 'none';
+        document.body.appendChild(tooltip);
+      } else if (!cfg.showTooltip && tooltip) {
+        tooltip.remove();
+        tooltip = null;
+      }
     }
 
-    // Sync scrolling across all charts and x-axis
-    // Use a lock that persists briefly to prevent feedback loops causing "bouncing"
-    const allScrollContainers = Array.from(mainContainer.querySelectorAll('.barchart-scroll-container'));
-    const allYAxisContainers = Array.from(mainContainer.querySelectorAll('.barchart-yaxis-container'));
-    const allChartAreas = Array.from(mainContainer.querySelectorAll('.barchart-chart-area'));
+    // Create main container (focusable for keyboard navigation)
+    const mainContainer = document.createElement('div');
+    mainContainer.className = 'barchart-container';
+    mainContainer.tabIndex = 0;
+    mainContainer.setAttribute('role', 'figure');
+
+    // Screen reader nodes, re-attached on every render: usage hint and the focused bar's values
+    const chartId = `barchart-${++chartCount}`;
+    const keyboardHint = document.createElement('div');
+    keyboardHint.className = 'barchart-sr-only';
+    keyboardHint.id = `${chartId}-hint`;
+    mainContainer.setAttribute('aria-describedby', keyboardHint.id);
+
+    const liveRegion = document.createElement('div');
+    liveRegion.className = 'barchart-sr-only';
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+
+    // Keyboard focus / touch inspection: the focused date key and what the last render produced
+    let hoverState = null;
+    let focusedDate = null;
+    let inspecting = false;
+    let lastPointerType = 'mouse';
+
+    // Scroll/shadow state, rebuilt on every render
+    let allScrollContainers = [];
+    let allYAxisContainers = [];
+    let allRightAxisContainers = [];
+    let allChartAreas = [];
     let syncLock = false;
     let syncTimeout = null;
-    
+    let shadowTimeout = null;
+    let scrollFrame = null;
+    let viewportFrame = null;
+    let destroyed = false;
+
     // Check if content needs scrolling and toggle shadow accordingly
     // Also update shadow sides based on scroll position
     function updateShadowVisibility() {
       const firstContainer = allScrollContainers[0];
       if (!firstContainer) return;
-      
+
       // Use a small tolerance to account for sub-pixel rendering differences
       const needsScroll = firstContainer.scrollWidth > firstContainer.clientWidth + 5;
       const scrollLeft = firstContainer.scrollLeft;
       const maxScroll = firstContainer.scrollWidth - firstContainer.clientWidth;
-      
+
       // Determine which shadows to show based on scroll position
       const canScrollRight = scrollLeft < maxScroll - 1;
       const canScrollLeft = scrollLeft > 1;
-      
+
       // Y-axis shadow: only show when scrolled (content to the left)
       allYAxisContainers.forEach(yAxisContainer => {
         if (!needsScroll || !canScrollLeft) {
@@ -1968,7 +4438,12 @@
           yAxisContainer.classList.remove('no-shadow');
         }
       });
-      
+
+      // Right y-axis shadow: only show when there is content to the right
+      allRightAxisContainers.forEach(container => {
+        container.classList.toggle('no-shadow', !needsScroll || !canScrollRight);
+      });
+
       // Chart area right shadow: show when can scroll right
       allChartAreas.forEach(chartArea => {
         if (needsScroll && canScrollRight) {
@@ -1977,7 +4452,7 @@
           chartArea.classList.remove('shadow-right');
         }
       });
-      
+
       // Hide scrollbar when no scrolling is needed
       allScrollContainers.forEach(container => {
         if (needsScroll) {
@@ -1987,51 +4462,943 @@
         }
       });
     }
-    
-    // Initial check after layout is complete, and on resize
-    // Use setTimeout to ensure DOM has been fully laid out
-    setTimeout(updateShadowVisibility, 0);
-    window.addEventListener('resize', updateShadowVisibility);
-    
-    allScrollContainers.forEach(container => {
-      container.addEventListener('scroll', (e) => {
-        // If sync lock is active, this is a programmatic scroll - ignore it
-        if (syncLock) return;
-        
-        // Acquire lock to prevent feedback
-        syncLock = true;
-        
-        const scrollLeft = e.target.scrollLeft;
-        
-        // Sync all other containers
-        allScrollContainers.forEach(other => {
-          if (other !== e.target) {
-            other.scrollLeft = scrollLeft;
-          }
+
+    // Move the virtualized bars of all panels along with the scroll position (once per frame)
+    function updateViewport() {
+      if (viewportFrame !== null) return;
+      viewportFrame = requestAnimationFrame(() => {
+        viewportFrame = null;
+        const scrollContainer = allScrollContainers[0];
+        if (!scrollContainer || !hoverState) return;
+        const width = scrollContainer.clientWidth || cfg.visibleWidth - cfg.margin.left;
+        hoverState.allChartHoverData.forEach(chartHover => chartHover.setViewport(scrollContainer.scrollLeft, width));
+      });
+    }
+
+    // Scroll all panels and the x-axis once the DOM is laid out (in the next frame)
+    function scrollNextFrame(getScrollLeft) {
+      cancelAnimationFrame(scrollFrame);
+      scrollFrame = requestAnimationFrame(() => {
+        scrollFrame = null;
+        allScrollContainers.forEach(container => {
+          container.scrollLeft = getScrollLeft(container);
         });
-        
-        // Release lock after scroll events have settled (use a short timeout)
-        clearTimeout(syncTimeout);
-        syncTimeout = setTimeout(() => {
-          syncLock = false;
-        }, 50);
-        
-        // Update shadow visibility based on scroll position
         updateShadowVisibility();
-      }, { passive: true });
+        updateViewport();
+      });
+    }
+
+    const scrollEnd = container => container.scrollWidth - container.clientWidth;
+
+    // Panels, their aggregated data, the x-domain and the bar layout of the current cfg
+    // (null if there is no data)
+    function prepareView() {
+      const normalizedSeries = normalizeSeries();
+
+      // Validate that we have data
+      if (normalizedSeries.length === 0 || !hasData(normalizedSeries[0])) {
+        console.warn('Barchart: No valid data in timeSeries');
+        return null;
+      }
+
+      // Process data for each series (data grown through append() only folds in the new points)
+      const seriesDataSets = normalizedSeries.map((seriesCfg, index) => processData(seriesCfg, bucketCaches, index));
+
+      // Merge all panels' date keys into one sorted x-domain so bars line up by date
+      const allDates = buildDateDomain(seriesDataSets);
+
+      // Validate we have data to render
+      if (allDates.length === 0) {
+        console.warn('Barchart: No valid data points provided');
+        return null;
+      }
+
+      // maxBuckets keeps the latest buckets only (the overview shows this window as well)
+      const fullDomain = windowDomain(allDates, cfg.maxBuckets);
+
+      // Zoom narrows the domain to a key range (keys sort chronologically, so compare as strings)
+      let dateDomain = fullDomain;
+      if (zoomRange) {
+        dateDomain = fullDomain.filter(key => key >= zoomRange.start && key <= zoomRange.end);
+        if (dateDomain.length === 0) {
+          zoomRange = null;
+          dateDomain = fullDomain;
+        }
+      }
+
+      // Date key -> x slot, shared by all panels; dates missing in a panel stay empty
+      const slotIndex = new Map(dateDomain.map((date, i) => [date, i]));
+      const aggregatedData = dateDomain.map(date => ({ date }));
+
+      // Per-series data of each panel (only the shown range)
+      const panelDataSets = dateDomain.length < allDates.length
+        ? seriesDataSets.map(dataSet => dataSet.filter(d => slotIndex.has(d.date)))
+        : seriesDataSets;
+
+      // Calculate dimensions
+      const layout = layoutBars(cfg, normalizedSeries, dateDomain.length);
+
+      return {
+        normalizedSeries, seriesDataSets, panelDataSets, fullDomain, dateDomain, slotIndex, aggregatedData,
+        ...layout,
+        viewportWidth: cfg.visibleWidth - cfg.margin.left,
+        maxScrollLeft: Math.max(0, layout.innerWidth + chartGap + layout.margin.right - (cfg.visibleWidth - cfg.margin.left))
+      };
+    }
+
+    // Options of one panel, and its number of series (legend entries)
+    function getPanelConfig(view, index, scrollLeft, drillTarget) {
+      const seriesCfg = view.normalizedSeries[index];
+      const panelCfg = {
+        ...cfg,
+        ...seriesCfg,
+        innerWidth: view.innerWidth,
+        innerHeight: cfg.chartHeight,
+        margin: view.margin,
+        viewport: { left: scrollLeft, width: view.viewportWidth },
+        annotations: resolveAnnotations([...(cfg.annotations || []), ...seriesCfg.annotations]),
+        onBarClick: drillTarget ? clickBar : null
+      };
+
+      // Drop hidden series that no longer exist
+      const seriesCount = Math.max(
+        (panelCfg.yAxisLabels || []).length,
+        ...view.seriesDataSets[index].map(d => (d.values || []).length)
+      );
+      const hidden = (hiddenSeries[index] || []).filter(idx => idx < seriesCount);
+      hiddenSeries[index] = hidden.length < seriesCount ? hidden : [];
+      panelCfg.hiddenSeries = hiddenSeries[index];
+
+      return { panelCfg, seriesCount };
+    }
+
+    // Pointer, touch and brush handling of freshly rendered chart panels
+    function bindPanels(view, chartSvgs, allChartHoverData, drillTarget) {
+      const { dateDomain, slotIndex } = view;
+
+      // Keyboard, touch and pointer handling share this state with the panels; refresh() updates
+      // the domain, the slot index and the bar layout in place when the panels are redrawn in place
+      const layout = { dateDomain, slotIndex, barStep: view.barStep, barWidth: view.barWidth, margin: view.margin, allChartHoverData, drillTarget };
+      hoverState = layout;
+
+      // Set up synchronized hover across all panels (multi-panel mode only)
+      if (chartSvgs.length > 1 && (tooltip || drillTarget)) {
+        // Show hover indicators on ALL panels and the combined tooltip for a slot
+        const enterSlot = (i, e) => {
+          const date = dateDomain[i];
+          const barCenterX = i * layout.barStep + layout.barStep / 2;
+          allChartHoverData.forEach(chartHover => {
+            chartHover.showHover(date, barCenterX);
+          });
+          if (!tooltip) return;
+
+          tooltip.innerHTML = getSyncedTooltipContent(date, allChartHoverData);
+          tooltip.style.display = 'block';
+          positionTooltip(tooltip, e);
+        };
+
+        const moveSlot = (i, e) => {
+          if (tooltip) positionTooltip(tooltip, e);
+        };
+
+        // Hide hover indicators on ALL panels
+        const leaveSlot = () => {
+          allChartHoverData.forEach(chartHover => {
+            chartHover.hideHover();
+          });
+          if (tooltip) tooltip.style.display = 'none';
+        };
+
+        chartSvgs.forEach(chartSvg => {
+          // One set of listeners per panel; the slot follows from pointer x and barStep
+          attachSlotPointer(chartSvg, () => layout.barStep, () => dateDomain.length, { left: chartGap, top: cfg.margin.top, height: cfg.chartHeight }, {
+            enter: enterSlot,
+            move: moveSlot,
+            leave: leaveSlot,
+            click: drillTarget ? (i) => clickBar(dateDomain[i]) : null
+          });
+          if (drillTarget) chartSvg.classList.add('drillable');
+        });
+      }
+
+      if (focusedDate !== null && !slotIndex.has(focusedDate)) clearBar();
+
+      // Touch inspect/scrub and brush-to-zoom on the chart panels
+      chartSvgs.forEach(chartSvg => {
+        attachTouch(chartSvg, layout);
+        if (cfg.brushZoom) attachBrush(chartSvg, layout);
+      });
+    }
+
+    /**
+     * Build (or rebuild) all panels and the x-axis from the current cfg
+     * @param {Object} [options]
+     * @param {boolean} [options.keepScroll=false] - Restore the previous scroll position instead of applying scrollToEnd
+     * @returns {boolean} False if there was no data to render
+     */
+    function render(options = {}) {
+      const view = prepareView();
+      if (!view) return false;
+      const { normalizedSeries, seriesDataSets, panelDataSets, fullDomain, dateDomain, aggregatedData } = view;
+      const { margin, rightAxisWidth, innerWidth, barStep, barWidth, maxScrollLeft } = view;
+
+      syncTooltip();
+      if (tooltip) tooltip.style.display = 'none';
+
+      // Remember scroll position before the old panels are removed
+      const previousScrollLeft = allScrollContainers.length > 0 ? allScrollContainers[0].scrollLeft : 0;
+
+      // Part of the panels that will be visible once the scroll position below is applied
+      let initialScrollLeft = 0;
+      if (options.keepScroll) initialScrollLeft = Math.min(previousScrollLeft, maxScrollLeft);
+      else if (cfg.scrollToEnd) initialScrollLeft = maxScrollLeft;
+
+      // Remove previous panels (their listeners go with them)
+      while (mainContainer.firstChild) {
+        mainContainer.removeChild(mainContainer.firstChild);
+      }
+      mainContainer.style.width = cfg.visibleWidth + 'px';
+
+      // Breadcrumb back up the drill-down path
+      const drillTarget = getDrillTarget();
+      if (drillStack.length > 0) {
+        mainContainer.appendChild(renderBreadcrumb());
+      }
+
+      // Collect hover data from all chart panels for synchronized hover
+      const allChartHoverData = [];
+      const chartSvgs = [];
+      const isMultiPanel = normalizedSeries.length > 1;
+      const bottomLegends = [];
+
+      // Create rows for each series (chart panel)
+      normalizedSeries.forEach((seriesCfg, index) => {
+        const row = document.createElement('div');
+        row.className = 'barchart-row';
+
+        // Merge config
+        const { panelCfg, seriesCount } = getPanelConfig(view, index, initialScrollLeft, drillTarget);
+
+        // Staggered/stacked/combo panels get a legend
+        const hasLegend = cfg.legend && isMultiSeries(panelCfg.renderType);
+
+        // Pass multiChartMode=true if we have multiple panels
+        const { yAxisSvg, rightAxisSvg, chartSvg, titleText, hoverData } = renderChartPanel(panelCfg, panelDataSets[index], barStep, barWidth, tooltip, isMultiPanel, view.slotIndex);
+
+        // Store hover data for synchronized hover
+        allChartHoverData.push(hoverData);
+        chartSvgs.push(chartSvg);
+
+        // Y-axis container (sticky)
+        const yAxisContainer = document.createElement('div');
+        yAxisContainer.className = 'barchart-yaxis-container';
+        yAxisContainer.appendChild(yAxisSvg);
+        row.appendChild(yAxisContainer);
+
+        // Chart area wrapper with title overlay
+        const chartAreaWrapper = document.createElement('div');
+        chartAreaWrapper.className = 'barchart-chart-area';
+        chartAreaWrapper.style.width = (cfg.visibleWidth - cfg.margin.left) + 'px';
+        chartAreaWrapper.style.position = 'relative';
+
+        // Add sticky centered title overlay if title exists
+        if (titleText) {
+          const titleOverlay = document.createElement('div');
+          titleOverlay.className = 'barchart-title-overlay';
+          titleOverlay.textContent = titleText;
+          chartAreaWrapper.appendChild(titleOverlay);
+        }
+
+        // Chart scroll container
+        const chartScrollContainer = document.createElement('div');
+        chartScrollContainer.className = 'barchart-scroll-container';
+        chartScrollContainer.appendChild(chartSvg);
+        chartAreaWrapper.appendChild(chartScrollContainer);
+        if (rightAxisWidth) chartAreaWrapper.appendChild(renderRightAxisContainer(rightAxisSvg, rightAxisWidth));
+
+        row.appendChild(chartAreaWrapper);
+
+        if (hasLegend) {
+          const legend = renderLegend(panelCfg, index, seriesCount);
+          if (cfg.legend === 'right') chartAreaWrapper.appendChild(legend);
+          else if (cfg.legend === 'bottom') bottomLegends.push(legend);
+          else mainContainer.appendChild(legend);
+        }
+
+        mainContainer.appendChild(row);
+
+        // Store scroll container reference for sync
+        row._scrollContainer = chartScrollContainer;
+      });
+
+      // Add shared x-axis row
+      const xAxisRow = document.createElement('div');
+      xAxisRow.className = 'barchart-row barchart-xaxis-row';
+
+      const { xAxisYSpacer, xAxisSvg } = renderXAxis(cfg, aggregatedData, barStep, innerWidth, margin);
+
+      const xAxisSpacerContainer = document.createElement('div');
+      xAxisSpacerContainer.className = 'barchart-yaxis-container';
+      xAxisSpacerContainer.appendChild(xAxisYSpacer);
+      xAxisRow.appendChild(xAxisSpacerContainer);
+
+      // X-axis area wrapper (for consistent layout with chart rows)
+      const xAxisAreaWrapper = document.createElement('div');
+      xAxisAreaWrapper.className = 'barchart-chart-area';
+      xAxisAreaWrapper.style.width = (cfg.visibleWidth - cfg.margin.left) + 'px';
+
+      const xAxisScrollContainer = document.createElement('div');
+      xAxisScrollContainer.className = 'barchart-scroll-container barchart-xaxis-scroll';
+      xAxisScrollContainer.appendChild(xAxisSvg);
+      xAxisAreaWrapper.appendChild(xAxisScrollContainer);
+      if (rightAxisWidth) xAxisAreaWrapper.appendChild(renderRightAxisContainer(null, rightAxisWidth));
+
+      xAxisRow.appendChild(xAxisAreaWrapper);
+
+      mainContainer.appendChild(xAxisRow);
+      xAxisRow._scrollContainer = xAxisScrollContainer;
+      bottomLegends.forEach(legend => mainContainer.appendChild(legend));
+
+      bindPanels(view, chartSvgs, allChartHoverData, drillTarget);
+
+      // Sync scrolling across all charts and x-axis
+      // Use a lock that persists briefly to prevent feedback loops causing "bouncing"
+      allScrollContainers = Array.from(mainContainer.querySelectorAll('.barchart-scroll-container'));
+      allYAxisContainers = Array.from(mainContainer.querySelectorAll('.barchart-yaxis-container'));
+      allRightAxisContainers = Array.from(mainContainer.querySelectorAll('.barchart-yaxis-right-container'));
+      allChartAreas = Array.from(mainContainer.querySelectorAll('.barchart-chart-area'));
+      syncLock = false;
+      clearTimeout(syncTimeout);
+
+      // Initial check after layout is complete
+      // Use setTimeout to ensure DOM has been fully laid out
+      clearTimeout(shadowTimeout);
+      shadowTimeout = setTimeout(updateShadowVisibility, 0);
+
+      allScrollContainers.forEach(container => {
+        container.addEventListener('scroll', (e) => {
+          updateViewport();
+
+          // If sync lock is active, this is a programmatic scroll - ignore it
+          if (syncLock) return;
+
+          // Acquire lock to prevent feedback
+          syncLock = true;
+
+          const scrollLeft = e.target.scrollLeft;
+
+          // Sync all other containers
+          allScrollContainers.forEach(other => {
+            if (other !== e.target) {
+              other.scrollLeft = scrollLeft;
+            }
+          });
+
+          // Release lock after scroll events have settled (use a short timeout)
+          clearTimeout(syncTimeout);
+          syncTimeout = setTimeout(() => {
+            syncLock = false;
+          }, 50);
+
+          // Update shadow visibility based on scroll position
+          updateShadowVisibility();
+        }, { passive: true });
+      });
+
+      // Scroll to end if configured, or back to where the user was on a re-render
+      if (cfg.scrollToEnd || options.keepScroll) {
+        scrollNextFrame(options.keepScroll ? () => previousScrollLeft : scrollEnd);
+      }
+
+      // Overview navigator below the x-axis (always shows the full domain)
+      if (cfg.showOverview) {
+        mainContainer.appendChild(renderOverviewRow(fullDomain, dateDomain, seriesDataSets[0], baseColor(normalizedSeries[0].barColor, '#4a90d9')));
+      }
+
+      // Accessible name, keyboard hint and optional data table
+      const chartLabel = cfg.ariaLabel || normalizedSeries.map(s => s.title).filter(Boolean).join(', ') || 'Bar chart';
+      mainContainer.setAttribute('aria-label', chartLabel);
+      keyboardHint.textContent = 'Use the left and right arrow keys to read the values'
+        + (drillTarget ? ', Enter to drill down' : '') + '.';
+      mainContainer.appendChild(keyboardHint);
+      mainContainer.appendChild(liveRegion);
+      if (cfg.accessibleTable) {
+        mainContainer.appendChild(renderDataTable(allChartHoverData, dateDomain, cfg.chartType, chartLabel));
+      }
+
+      // Keep showing the focused or inspected bar after a data or option change
+      if (focusedDate !== null && (inspecting || document.activeElement === mainContainer)) {
+        showBar(view.slotIndex.get(focusedDate));
+      }
+
+      return true;
+    }
+
+    // Render the panels of a view into the existing rows, replacing their SVGs and the x-axis,
+    // and bind them; returns their hover data
+    function swapPanels(view, rows, panelCfgs, drillTarget) {
+      const { panelDataSets, rightAxisWidth, barStep, barWidth } = view;
+      const panels = panelCfgs.map(({ panelCfg }, index) => (
+        renderChartPanel(panelCfg, panelDataSets[index], barStep, barWidth, tooltip, panelCfgs.length > 1, view.slotIndex)
+      ));
+
+      panels.forEach((panel, index) => {
+        const row = rows[index];
+        const yAxisContainer = row.querySelector('.barchart-yaxis-container');
+        yAxisContainer.replaceChild(panel.yAxisSvg, yAxisContainer.firstChild);
+        row._scrollContainer.replaceChild(panel.chartSvg, row._scrollContainer.firstChild);
+        if (panel.titleText) row.querySelector('.barchart-title-overlay').textContent = panel.titleText;
+
+        const rightAxisContainer = row.querySelector('.barchart-yaxis-right-container');
+        if (rightAxisContainer) {
+          rightAxisContainer.style.width = rightAxisWidth + 'px';
+          while (rightAxisContainer.firstChild) rightAxisContainer.removeChild(rightAxisContainer.firstChild);
+          if (panel.rightAxisSvg) rightAxisContainer.appendChild(panel.rightAxisSvg);
+        }
+      });
+      replaceXAxis(view);
+
+      const allChartHoverData = panels.map(panel => panel.hoverData);
+      bindPanels(view, panels.map(panel => panel.chartSvg), allChartHoverData, drillTarget);
+      return allChartHoverData;
+    }
+
+    // Render the x-axis of a view into the existing x-axis row
+    function replaceXAxis(view) {
+      const xAxisRow = mainContainer.querySelector('.barchart-xaxis-row');
+      const { xAxisYSpacer, xAxisSvg } = renderXAxis(cfg, view.aggregatedData, view.barStep, view.innerWidth, view.margin);
+      const xAxisSpacerContainer = xAxisRow.querySelector('.barchart-yaxis-container');
+      xAxisSpacerContainer.replaceChild(xAxisYSpacer, xAxisSpacerContainer.firstChild);
+      xAxisRow._scrollContainer.replaceChild(xAxisSvg, xAxisRow._scrollContainer.firstChild);
+      const xAxisRightContainer = xAxisRow.querySelector('.barchart-yaxis-right-container');
+      if (xAxisRightContainer) xAxisRightContainer.style.width = view.rightAxisWidth + 'px';
+    }
+
+    /**
+     * Redraw the panels after append(): rows, scroll containers and legends stay in place. While
+     * the y scales stay the same, the panels replace only the bars that changed or were added,
+     * shift the others when the sliding window drops buckets and draw them again when the bar
+     * width changes (and the x-axis only gets rendered again when the domain or the layout
+     * changed); otherwise the SVGs are replaced. The overview and the data table are replaced. A chart
+     * scrolled to the end stays at the end; otherwise the bars in view stay in view when the
+     * sliding window drops older ones. Falls back to render() when the panels or legends changed.
+     * @returns {boolean} False if there was no data to render
+     */
+    function refresh() {
+      const scrollContainer = allScrollContainers[0];
+      const previousScrollLeft = scrollContainer ? scrollContainer.scrollLeft : 0;
+      const atEnd = !scrollContainer || previousScrollLeft >= scrollEnd(scrollContainer) - 1;
+
+      const view = prepareView();
+      if (!view) return false;
+      const { normalizedSeries, seriesDataSets, panelDataSets, fullDomain, dateDomain } = view;
+      const { margin, rightAxisWidth, barStep, barWidth, maxScrollLeft } = view;
+
+      const dropped = hoverState ? hoverState.dateDomain.filter(key => key < dateDomain[0]).length : 0;
+      const scrollLeft = atEnd ? maxScrollLeft : Math.min(maxScrollLeft, Math.max(0, previousScrollLeft - dropped * barStep));
+
+      const drillTarget = getDrillTarget();
+      const rows = Array.from(mainContainer.querySelectorAll('.barchart-row'))
+        .filter(row => row._scrollContainer && !row.classList.contains('barchart-xaxis-row'));
+      const panelCfgs = normalizedSeries.map((seriesCfg, index) => getPanelConfig(view, index, scrollLeft, drillTarget));
+
+      const unchanged = hoverState && rows.length === panelCfgs.length && panelCfgs.every(({ panelCfg, seriesCount }, index) => {
+        const legend = mainContainer.querySelector(`.barchart-legend[data-panel="${index}"]`);
+        const legendSize = cfg.legend && isMultiSeries(panelCfg.renderType) ? seriesCount : 0;
+        return !!rows[index].querySelector('.barchart-title-overlay') === !!panelCfg.title
+          && !!rows[index].querySelector('.barchart-yaxis-right-container') === !!rightAxisWidth
+          && (legend ? legend.querySelectorAll('.barchart-legend-item').length : 0) === legendSize;
+      });
+      if (!unchanged) {
+        if (!render({ keepScroll: true })) return false;
+        if (atEnd) scrollNextFrame(scrollEnd);
+        return true;
+      }
+
+      if (tooltip) tooltip.style.display = 'none';
+
+      // The panels are updated in place when the rest of the previous domain (after the buckets the
+      // sliding window dropped) starts the new one, if every panel keeps its y scales
+      const previous = hoverState;
+      const keepsDomain = ['top', 'right', 'bottom', 'left'].every(side => previous.margin[side] === margin[side])
+        && previous.dateDomain.slice(dropped).every((key, i) => dateDomain[i] === key);
+      const layout = { barStep, barWidth, dropped };
+      const updates = keepsDomain
+        ? panelCfgs.map(({ panelCfg }, index) => previous.allChartHoverData[index].prepareUpdate(panelCfg, panelDataSets[index], layout))
+        : [];
+      let allChartHoverData;
+      if (keepsDomain && updates.every(Boolean)) {
+        // The panels, the pointer handlers and hoverState share the domain, the slot index and the layout
+        const relaid = previous.barStep !== barStep || previous.barWidth !== barWidth;
+        const added = dateDomain.slice(previous.dateDomain.length - dropped);
+        previous.dateDomain.splice(0, dropped).forEach(key => previous.slotIndex.delete(key));
+        added.forEach(key => previous.dateDomain.push(key));
+        if (dropped > 0) previous.dateDomain.forEach((key, i) => previous.slotIndex.set(key, i));
+        else added.forEach(key => previous.slotIndex.set(key, previous.slotIndex.size));
+        previous.barStep = barStep;
+        previous.barWidth = barWidth;
+        updates.forEach(update => update());
+        allChartHoverData = previous.allChartHoverData;
+        if (added.length > 0 || dropped > 0 || relaid) replaceXAxis(view);
+      } else {
+        allChartHoverData = swapPanels(view, rows, panelCfgs, drillTarget);
+      }
+
+      clearTimeout(shadowTimeout);
+      shadowTimeout = setTimeout(updateShadowVisibility, 0);
+      scrollNextFrame(atEnd ? scrollEnd : () => scrollLeft);
+
+      const overviewRow = mainContainer.querySelector('.barchart-overview-row');
+      if (overviewRow) {
+        mainContainer.replaceChild(renderOverviewRow(fullDomain, dateDomain, seriesDataSets[0], baseColor(normalizedSeries[0].barColor, '#4a90d9')), overviewRow);
+      }
+
+      const chartLabel = cfg.ariaLabel || normalizedSeries.map(s => s.title).filter(Boolean).join(', ') || 'Bar chart';
+      mainContainer.setAttribute('aria-label', chartLabel);
+      const dataTable = mainContainer.querySelector('.barchart-data-table');
+      if (dataTable) {
+        mainContainer.replaceChild(renderDataTable(allChartHoverData, dateDomain, cfg.chartType, chartLabel), dataTable);
+      }
+
+      if (focusedDate !== null && (inspecting || document.activeElement === mainContainer)) {
+        showBar(view.slotIndex.get(focusedDate));
+      }
+
+      return true;
+    }
+
+    // Right y-axis of a panel, or an empty strip in rows without one (so all rows line up)
+    function renderRightAxisContainer(rightAxisSvg, width) {
+      const container = document.createElement('div');
+      container.className = 'barchart-yaxis-right-container';
+      container.style.width = width + 'px';
+      if (rightAxisSvg) container.appendChild(rightAxisSvg);
+      return container;
+    }
+
+    /**
+     * Legend of a staggered/stacked/combo panel: click an entry to hide or show that series,
+     * hover (or focus) it to highlight the series' bars
+     */
+    function renderLegend(panelCfg, panelIndex, seriesCount) {
+      const labels = panelCfg.yAxisLabels || [];
+      const colors = panelCfg.staggeredColors || cfg.colors;
+      const hidden = new Set(panelCfg.hiddenSeries);
+
+      const legend = document.createElement('div');
+      legend.className = `barchart-legend barchart-legend-${cfg.legend === 'right' ? 'right' : 'horizontal'}`;
+      legend.setAttribute('data-panel', panelIndex);
+      if (cfg.legend !== 'right') legend.style.paddingLeft = cfg.margin.left + 'px';
+      else if (panelCfg.rightAxis) legend.style.right = (cfg.margin.left + 8) + 'px';
+
+      // The panel's current hover data (append() replaces the panels but keeps the legends)
+      const highlight = seriesIdx => hoverState.allChartHoverData[panelIndex].highlightSeries(seriesIdx);
+
+      for (let idx = 0; idx < seriesCount; idx++) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'barchart-legend-item' + (hidden.has(idx) ? ' hidden' : '');
+        item.setAttribute('data-series', idx);
+        item.setAttribute('aria-pressed', String(!hidden.has(idx)));
+
+        const swatch = document.createElement('span');
+        swatch.className = 'barchart-legend-swatch';
+        if (panelCfg.renderType === 'combo' && isLineType((panelCfg.seriesTypes || [])[idx])) {
+          swatch.classList.add('barchart-legend-swatch-line');
+        }
+        swatch.style.background = baseColor(colors[idx % colors.length], '#4a90d9');
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(labels[idx] || `Series ${idx + 1}`));
+
+        item.addEventListener('click', () => toggleSeries(panelIndex, idx, seriesCount));
+        item.addEventListener('pointerenter', () => highlight(hidden.has(idx) ? null : idx));
+        item.addEventListener('pointerleave', () => highlight(null));
+        item.addEventListener('focus', () => highlight(hidden.has(idx) ? null : idx));
+        item.addEventListener('blur', () => highlight(null));
+        legend.appendChild(item);
+      }
+
+      return legend;
+    }
+
+    // Hide or show one series of a panel (at least one stays visible)
+    function toggleSeries(panelIndex, seriesIdx, seriesCount) {
+      const hidden = new Set(hiddenSeries[panelIndex] || []);
+      if (hidden.has(seriesIdx)) {
+        hidden.delete(seriesIdx);
+      } else if (hidden.size < seriesCount - 1) {
+        hidden.add(seriesIdx);
+      } else {
+        return;
+      }
+      hiddenSeries[panelIndex] = [...hidden];
+
+      const hadFocus = document.activeElement && document.activeElement.closest
+        && document.activeElement.closest('.barchart-legend') !== null;
+      render({ keepScroll: true });
+      if (hadFocus) {
+        const item = mainContainer.querySelector(`.barchart-legend[data-panel="${panelIndex}"] [data-series="${seriesIdx}"]`);
+        if (item) item.focus();
+      }
+      emit('seriesToggle', { panel: panelIndex, series: seriesIdx, visible: !hidden.has(seriesIdx) });
+    }
+
+    // Combined tooltip of all panels for a date (synchronized hover and keyboard focus)
+    function getSyncedTooltipContent(date, chartHoverData) {
+      let content = `<strong>${date}</strong><hr style="margin: 4px 0; border: none; border-top: 1px solid #ddd;">`;
+      chartHoverData.forEach(chartHover => {
+        content += '<br>' + chartHover.getTooltipContent(date);
+      });
+      return content;
+    }
+
+    // Show hover indicators, tooltip and announcement for the bar at a slot
+    // (the tooltip goes next to point, e.g. the touch position, or above the bar)
+    function showBar(index, point = null) {
+      const { dateDomain, barStep, allChartHoverData } = hoverState;
+      const slot = Math.min(dateDomain.length - 1, Math.max(0, index));
+      const date = dateDomain[slot];
+      const x = slot * barStep;
+      const barCenterX = x + barStep / 2;
+      focusedDate = date;
+
+      // Scroll the bar into view (all containers, so they stay in sync)
+      const scrollContainer = allScrollContainers[0];
+      if (scrollContainer) {
+        let scrollLeft = scrollContainer.scrollLeft;
+        if (x < scrollLeft) scrollLeft = x;
+        else if (x + barStep + chartGap > scrollLeft + scrollContainer.clientWidth) {
+          scrollLeft = x + barStep + chartGap - scrollContainer.clientWidth;
+        }
+        if (scrollLeft !== scrollContainer.scrollLeft) {
+          allScrollContainers.forEach(container => {
+            container.scrollLeft = scrollLeft;
+          });
+        }
+      }
+
+      allChartHoverData.forEach(chartHover => {
+        chartHover.showHover(date, barCenterX);
+      });
+
+      const content = getSyncedTooltipContent(date, allChartHoverData);
+      if (tooltip) {
+        tooltip.innerHTML = content;
+        tooltip.style.display = 'block';
+        if (point) {
+          positionTooltip(tooltip, point);
+        } else {
+          const chartRect = mainContainer.querySelector('.barchart-chart').getBoundingClientRect();
+          positionTooltip(tooltip, { clientX: chartRect.left + chartGap + barCenterX, clientY: chartRect.top + cfg.margin.top });
+        }
+      }
+      liveRegion.textContent = htmlToText(content);
+    }
+
+    // Hide the keyboard hover indicators and tooltip
+    function blurBar() {
+      if (hoverState) {
+        hoverState.allChartHoverData.forEach(chartHover => {
+          chartHover.hideHover();
+        });
+      }
+      if (tooltip) tooltip.style.display = 'none';
+    }
+
+    // Forget the focused/inspected bar and leave touch inspect mode
+    function clearBar() {
+      blurBar();
+      focusedDate = null;
+      liveRegion.textContent = '';
+      if (inspecting) {
+        inspecting = false;
+        mainContainer.classList.remove('barchart-inspecting');
+        document.removeEventListener('pointerdown', dismissOnOutsideTap, true);
+      }
+    }
+
+    // A tap outside the chart panels dismisses the inspected bar
+    function dismissOnOutsideTap(e) {
+      const panel = e.target.closest ? e.target.closest('.barchart-chart') : null;
+      if (!panel || !mainContainer.contains(panel)) clearBar();
+    }
+
+    // Touch: a tap inspects the bar under the finger and keeps its tooltip open. While
+    // inspecting, horizontal drags scrub across bars (touch-action is pan-y then, see CSS);
+    // otherwise drags are left to the browser, so native momentum scrolling keeps working.
+    function attachTouch(chartSvg, layout) {
+      const { dateDomain } = layout;
+      const tapSlop = 10;
+      let tapStart = null;
+      const slotAt = (clientX) => {
+        const slot = Math.floor((clientX - chartSvg.getBoundingClientRect().left - chartGap) / layout.barStep);
+        return Math.min(dateDomain.length - 1, Math.max(0, slot));
+      };
+      const isTap = e => tapStart
+        && Math.abs(e.clientX - tapStart.x) <= tapSlop
+        && Math.abs(e.clientY - tapStart.y) <= tapSlop;
+
+      chartSvg.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'touch') return;
+        tapStart = { x: e.clientX, y: e.clientY };
+      });
+
+      chartSvg.addEventListener('pointermove', (e) => {
+        if (e.pointerType !== 'touch' || !inspecting || isTap(e)) return;
+        tapStart = null;
+        showBar(slotAt(e.clientX), e);
+      });
+
+      chartSvg.addEventListener('pointerup', (e) => {
+        if (e.pointerType !== 'touch' || !isTap(e)) return;
+        tapStart = null;
+        const slot = slotAt(e.clientX);
+
+        // A second tap on the inspected bar drills into it
+        if (inspecting && dateDomain[slot] === focusedDate && hoverState.drillTarget) {
+          drillInto(focusedDate);
+          return;
+        }
+        if (!inspecting) {
+          inspecting = true;
+          mainContainer.classList.add('barchart-inspecting');
+          document.addEventListener('pointerdown', dismissOnOutsideTap, true);
+        }
+        showBar(slot, e);
+      });
+
+      chartSvg.addEventListener('pointercancel', () => {
+        tapStart = null;
+      });
+    }
+
+    // Clicks drill down for mouse and pen; touch drills with a second tap (see attachTouch)
+    function clickBar(key) {
+      if (lastPointerType === 'touch') return;
+      drillInto(key);
+    }
+
+    // Arrow keys move between bars; Enter drills down; Escape hides the tooltip
+    mainContainer.addEventListener('keydown', (e) => {
+      // Keys on the breadcrumb buttons keep their default behavior
+      if (e.target !== mainContainer || !hoverState) return;
+
+      const count = hoverState.dateDomain.length;
+      const current = focusedDate === null ? -1 : hoverState.dateDomain.indexOf(focusedDate);
+
+      switch (e.key) {
+        case 'ArrowRight':
+          showBar(current < 0 ? 0 : current + 1);
+          break;
+        case 'ArrowLeft':
+          showBar(current < 0 ? count - 1 : current - 1);
+          break;
+        case 'Home':
+          showBar(0);
+          break;
+        case 'End':
+          showBar(count - 1);
+          break;
+        case 'Enter':
+        case ' ':
+          if (current < 0 || !hoverState.drillTarget) return;
+          drillInto(focusedDate);
+          break;
+        case 'Escape':
+          if (current < 0) return;
+          clearBar();
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
     });
-    
-    // Scroll to end if configured
-    if (cfg.scrollToEnd) {
-      // Use requestAnimationFrame to ensure DOM is ready
-      requestAnimationFrame(() => {
-        allScrollContainers.forEach(container => {
-          container.scrollLeft = container.scrollWidth - container.clientWidth;
+
+    mainContainer.addEventListener('blur', blurBar);
+
+    // Remember the kind of pointer behind the next click (compatibility clicks follow taps)
+    mainContainer.addEventListener('pointerdown', (e) => {
+      lastPointerType = e.pointerType;
+    }, true);
+
+    // Follow the pointer of pointerdown event e (captured by el) until it is released; onCancel
+    // runs when the browser takes the pointer over. endDrag() stops following it (e.g. on destroy)
+    function startDrag(el, e, onMove, onEnd, onCancel) {
+      if (endDrag) endDrag();
+      const pointerId = e.pointerId;
+      const handleMove = (ev) => {
+        if (ev.pointerId === pointerId) onMove(ev);
+      };
+      const handleUp = (ev) => {
+        if (ev.pointerId !== pointerId) return;
+        stop();
+        onEnd(ev);
+      };
+      const handleCancel = (ev) => {
+        if (ev.pointerId !== pointerId) return;
+        stop();
+        onCancel();
+      };
+      function stop() {
+        el.removeEventListener('pointermove', handleMove);
+        el.removeEventListener('pointerup', handleUp);
+        el.removeEventListener('pointercancel', handleCancel);
+        if (el.hasPointerCapture && el.hasPointerCapture(pointerId)) el.releasePointerCapture(pointerId);
+        endDrag = null;
+      }
+      if (el.setPointerCapture) el.setPointerCapture(pointerId);
+      el.addEventListener('pointermove', handleMove);
+      el.addEventListener('pointerup', handleUp);
+      el.addEventListener('pointercancel', handleCancel);
+      endDrag = stop;
+    }
+
+    // Click-and-drag across bars of a panel to zoom to them (mouse and pen; touch drags scroll
+    // or scrub, see attachTouch, and zoom through the overview strip)
+    function attachBrush(chartSvg, layout) {
+      const { dateDomain } = layout;
+      const chartGroup = chartSvg.querySelector('g[transform]');
+      const slotAt = (clientX) => {
+        const slot = Math.floor((clientX - chartSvg.getBoundingClientRect().left - chartGap) / layout.barStep);
+        return Math.min(dateDomain.length - 1, Math.max(0, slot));
+      };
+
+      chartSvg.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || e.pointerType === 'touch') return;
+        e.preventDefault(); // no text selection while dragging
+
+        const { barStep } = layout;
+        const anchor = slotAt(e.clientX);
+        let current = anchor;
+        const brushRect = createSVGElement('rect', {
+          x: anchor * barStep, y: 0,
+          width: barStep, height: cfg.chartHeight,
+          class: 'brush-selection'
         });
-        updateShadowVisibility();
+
+        startDrag(chartSvg, e, (ev) => {
+          current = slotAt(ev.clientX);
+          brushRect.setAttribute('x', Math.min(anchor, current) * barStep);
+          brushRect.setAttribute('width', (Math.abs(current - anchor) + 1) * barStep);
+          if (!brushRect.parentNode && current !== anchor) chartGroup.appendChild(brushRect);
+        }, () => {
+          brushRect.remove();
+          // A plain click (no drag) is left to the click handlers
+          if (current === anchor) return;
+          setZoomRange(dateDomain[Math.min(anchor, current)], dateDomain[Math.max(anchor, current)]);
+        }, () => brushRect.remove());
+      });
+    }
+
+    // Overview strip: mini bars for the whole domain; drag to select a range, drag the window to pan
+    function renderOverviewRow(fullDomain, dateDomain, overviewData, color) {
+      const valuesByDate = new Map(overviewData.map(d => [
+        d.date,
+        d.values ? d.values.reduce((sum, v) => sum + (v || 0), 0) : d.value
+      ]));
+      const values = fullDomain.map(key => (valuesByDate.has(key) ? valuesByDate.get(key) : null));
+      const width = cfg.visibleWidth - cfg.margin.left - chartGap - cfg.margin.right;
+
+      const { overviewYSpacer, overviewSvg, slotWidth, setSelection } = renderOverview(values, width, cfg.margin, {
+        height: cfg.overviewHeight,
+        color
+      });
+
+      const selStart = fullDomain.indexOf(dateDomain[0]);
+      const selEnd = fullDomain.indexOf(dateDomain[dateDomain.length - 1]);
+      setSelection(selStart, selEnd);
+
+      const slotAt = (clientX) => {
+        const slot = Math.floor((clientX - overviewSvg.getBoundingClientRect().left - chartGap) / slotWidth);
+        return Math.min(fullDomain.length - 1, Math.max(0, slot));
+      };
+
+      overviewSvg.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const anchor = slotAt(e.clientX);
+        const span = selEnd - selStart;
+        const pan = zoomRange && anchor >= selStart && anchor <= selEnd;
+        let start = selStart;
+        let end = selEnd;
+
+        startDrag(overviewSvg, e, (ev) => {
+          const slot = slotAt(ev.clientX);
+          if (pan) {
+            start = Math.min(fullDomain.length - 1 - span, Math.max(0, selStart + slot - anchor));
+            end = start + span;
+          } else {
+            start = Math.min(anchor, slot);
+            end = Math.max(anchor, slot);
+          }
+          setSelection(start, end);
+        }, () => {
+          if (start === end || (start === selStart && end === selEnd)) {
+            setSelection(selStart, selEnd);
+            return;
+          }
+          setZoomRange(fullDomain[start], fullDomain[end]);
+        }, () => setSelection(selStart, selEnd));
+      });
+
+      // Double-click shows everything again
+      overviewSvg.addEventListener('dblclick', () => setZoomRange(null, null));
+
+      const row = document.createElement('div');
+      row.className = 'barchart-row barchart-overview-row';
+
+      const spacerContainer = document.createElement('div');
+      spacerContainer.className = 'barchart-overview-spacer-container';
+      spacerContainer.appendChild(overviewYSpacer);
+      row.appendChild(spacerContainer);
+      row.appendChild(overviewSvg);
+
+      return row;
+    }
+
+    // Zoom to the bucket keys start..end (inclusive), or back to everything with null
+    function setZoomRange(start, end) {
+      const next = (start === null || start === undefined)
+        ? null
+        : { start: start <= end ? start : end, end: start <= end ? end : start };
+      if (JSON.stringify(next) === JSON.stringify(zoomRange)) return;
+
+      zoomRange = next;
+      render();
+      emit('zoom', { start: zoomRange ? zoomRange.start : null, end: zoomRange ? zoomRange.end : null });
+    }
+
+    // The chart as one standalone SVG, with the matching styles.css rules inlined
+    function buildExportSvg() {
+      const rows = Array.from(mainContainer.querySelectorAll('.barchart-row:not(.barchart-xaxis-row):not(.barchart-overview-row)'));
+      const panels = rows.map((row, index) => {
+        const titleOverlay = row.querySelector('.barchart-title-overlay');
+        return {
+          yAxisSvg: row.querySelector('.barchart-yaxis:not(.barchart-yaxis-right)').cloneNode(true),
+          chartSvg: hoverState.allChartHoverData[index].exportChart(),
+          rightAxisSvg: row.querySelector('.barchart-yaxis-right') ? row.querySelector('.barchart-yaxis-right').cloneNode(true) : null,
+          title: titleOverlay ? titleOverlay.textContent : ''
+        };
       });
+      const xAxisSvg = mainContainer.querySelector('.barchart-xaxis');
+      const fontFamily = mainContainer.isConnected ? window.getComputedStyle(mainContainer).fontFamily : '';
+
+      const svg = stitchChartSvg(panels, xAxisSvg ? xAxisSvg.cloneNode(true) : null, fontFamily);
+      const style = createSVGElement('style');
+      style.textContent = collectExportStyles(svg);
+      svg.insertBefore(style, svg.firstChild);
+      return svg;
     }
 
+    if (!render()) {
+      if (tooltip) tooltip.remove();
+      return null;
+    }
+
+    // Re-check shadows on resize
+    window.addEventListener('resize', updateShadowVisibility);
+
     // Append to container if provided
     if (cfg.container) {
       const container = typeof cfg.container === 'string'
@@ -2042,7 +5409,344 @@
       }
     }
 
-    return mainContainer;
+    // Chart instance returned to the caller
+    const chart = {
+      element: mainContainer,
+
+      /**
+       * Replace the data of one timeSeries and re-render
+       * @param {number} seriesIndex - Index into config.timeSeries
+       * @param {Array} data - New data array
+       * @returns {Object} The chart instance
+       */
+      setData(seriesIndex, data) {
+        if (destroyed) return chart;
+        if (!cfg.timeSeries[seriesIndex]) {
+          console.warn(`Barchart: No timeSeries at index ${seriesIndex}`);
+          return chart;
+        }
+        cfg.timeSeries = cfg.timeSeries.map((s, idx) => idx === seriesIndex ? { ...s, data } : s);
+        // Read all data again, the caller may have changed arrays the bucket caches have read
+        Object.keys(bucketCaches).forEach(key => delete bucketCaches[key]);
+        render({ keepScroll: true });
+        return chart;
+      },
+
+      /**
+       * Append points to the data of one timeSeries and redraw the panels in place. Points are
+       * folded into their bucket (only the buckets they fall into are aggregated again) or add
+       * buckets at the end; a chart scrolled to the end stays scrolled to the end.
+       * @param {number} seriesIndex - Index into config.timeSeries
+       * @param {Object|Array} points - A point or an array of points, in the shape of the series' data
+       * @returns {Object} The chart instance
+       */
+      append(seriesIndex, points) {
+        if (destroyed) return chart;
+        const series = cfg.timeSeries[seriesIndex];
+        if (!series) {
+          console.warn(`Barchart: No timeSeries at index ${seriesIndex}`);
+          return chart;
+        }
+
+        let cache = bucketCaches[seriesIndex];
+        if (!cache || !cache.copied || cache.source !== series.data) {
+          // The data the series is drawn from: a panel without data of its own shows the data
+          // (and uses the field accessors) of the first timeSeries with data
+          const normalizedSeries = normalizeSeries();
+          const source = normalizedSeries.length === 1 && normalizedSeries[0].sources
+            ? normalizedSeries[0].sources[seriesIndex]
+            : normalizedSeries[seriesIndex] || { data: series.data || [], fields: {} };
+          if (!series.data) {
+            const providerIndex = cfg.timeSeries.findIndex(s => s.data && s.data.length > 0);
+            if (providerIndex > seriesIndex && cfg.timeSeries.some((s, idx) => idx !== seriesIndex && !s.data)) {
+              console.warn(`Barchart: timeSeries ${seriesIndex} shares its data with other panels; give it data of its own to append to it`);
+              return chart;
+            }
+          }
+          // Append to a copy, so the caller's (or the shared) array is left as it was; buckets
+          // already read from that array are kept
+          if (!cache || cache.source !== source.data) cache = bucketCaches[seriesIndex] = {};
+          Object.assign(cache, { source: (source.data || []).slice(), copied: true });
+          const fields = series.data ? {} : Object.fromEntries(Object.entries(source.fields || {}).filter(([, field]) => field));
+          cfg.timeSeries = cfg.timeSeries.map((s, idx) => idx === seriesIndex ? { ...s, ...fields, data: cache.source } : s);
+        }
+        (Array.isArray(points) ? points : [points]).forEach(point => cache.source.push(point));
+        refresh();
+        return chart;
+      },
+
+      /**
+       * Merge a partial configuration into the current one and re-render
+       * @param {Object} partialConfig - Any createChart options (container is ignored)
+       * @returns {Object} The chart instance
+       */
+      update(partialConfig = {}) {
+        if (destroyed) return chart;
+        const { container, ...rest } = partialConfig;
+        cfg = { ...cfg, ...rest };
+        timeZone = resolveTimeZone(cfg.timeZone);
+        if ('timeSeries' in rest) Object.keys(bucketCaches).forEach(key => delete bucketCaches[key]);
+        if ('chartType' in rest) {
+          // An explicit chartType starts over from the full data
+          drillStack = [];
+          drillRange = null;
+          zoomRange = null;
+        }
+        render({ keepScroll: !('scrollToEnd' in rest) });
+        return chart;
+      },
+
+      /**
+       * Change the visible width and/or panel height and re-render
+       * @param {number} [width] - New visible width
+       * @param {number} [height] - New height per chart panel
+       * @returns {Object} The chart instance
+       */
+      resize(width, height) {
+        if (destroyed) return chart;
+        if (width !== undefined && width !== null) cfg.visibleWidth = width;
+        if (height !== undefined && height !== null) cfg.chartHeight = height;
+        render({ keepScroll: true });
+        return chart;
+      },
+
+      /**
+       * Drill into a bucket of the current chartType (requires the drillDown option)
+       * @param {string} key - Bucket key, e.g. "2025" in a byYear chart
+       * @returns {boolean} False if the current chartType cannot be drilled into
+       */
+      drillDown(key) {
+        return destroyed ? false : drillInto(key);
+      },
+
+      /**
+       * Drill back up
+       * @param {number} [level] - Breadcrumb level to return to (0 = top); defaults to one level up
+       * @returns {boolean} False if already at that level
+       */
+      drillUp(level = drillStack.length - 1) {
+        return destroyed ? false : drillTo(level);
+      },
+
+      /**
+       * Get the zoomed range
+       * @returns {Object|null} { start, end } bucket keys (inclusive), or null when showing everything
+       */
+      getZoom() {
+        return zoomRange ? { ...zoomRange } : null;
+      },
+
+      /**
+       * Zoom to a range of buckets
+       * @param {string|Date|number} start - First bucket key (e.g. "2025-03") or a date inside it
+       * @param {string|Date|number} end - Last bucket key or a date inside it
+       * @returns {Object} The chart instance
+       */
+      setZoom(start, end) {
+        if (destroyed) return chart;
+        const toKey = value => (typeof value === 'string' ? value : getBucketKey(parseDate(value, timeZone), cfg.chartType, timeZone));
+        setZoomRange(toKey(start), toKey(end));
+        return chart;
+      },
+
+      /**
+       * Show the full date range again
+       * @returns {Object} The chart instance
+       */
+      resetZoom() {
+        if (destroyed) return chart;
+        setZoomRange(null, null);
+        return chart;
+      },
+
+      /**
+       * Export the chart as a standalone SVG document (all bars, not only the visible ones)
+       * @returns {string|null} SVG markup
+       */
+      exportSVG() {
+        if (destroyed) return null;
+        return new XMLSerializer().serializeToString(buildExportSvg());
+      },
+
+      /**
+       * Export the chart as a PNG image (see exportSVG)
+       * @param {Object} [options]
+       * @param {number} [options.scale=window.devicePixelRatio] - Pixels per CSS pixel
+       * @returns {Promise<Blob|null>}
+       */
+      exportPNG(options = {}) {
+        if (destroyed) return Promise.resolve(null);
+        const svg = buildExportSvg();
+        const scale = options.scale || window.devicePixelRatio || 1;
+        return rasterizeSVG(new XMLSerializer().serializeToString(svg),
+          Number(svg.getAttribute('width')), Number(svg.getAttribute('height')), scale);
+      },
+
+      /**
+       * Export the aggregated rows of the shown date range as CSV
+       * @returns {string|null}
+       */
+      exportCSV() {
+        if (destroyed) return null;
+        return buildCSV(hoverState.allChartHoverData, hoverState.dateDomain);
+      },
+
+      /**
+       * Register an event handler
+       * @param {string} eventName - 'drill', 'zoom' or 'seriesToggle'
+       * @param {Function} handler - Called with the event detail
+       * @returns {Object} The chart instance
+       */
+      on(eventName, handler) {
+        (eventHandlers[eventName] = eventHandlers[eventName] || []).push(handler);
+        return chart;
+      },
+
+      /**
+       * Remove an event handler registered with on()
+       * @param {string} eventName
+       * @param {Function} handler
+       * @returns {Object} The chart instance
+       */
+      off(eventName, handler) {
+        eventHandlers[eventName] = (eventHandlers[eventName] || []).filter(h => h !== handler);
+        return chart;
+      },
+
+      /**
+       * Remove the chart from the DOM and release the tooltip, timers and listeners
+       */
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        if (endDrag) endDrag();
+        clearBar();
+        Object.keys(eventHandlers).forEach(eventName => delete eventHandlers[eventName]);
+        window.removeEventListener('resize', updateShadowVisibility);
+        clearTimeout(syncTimeout);
+        clearTimeout(shadowTimeout);
+        cancelAnimationFrame(scrollFrame);
+        cancelAnimationFrame(viewportFrame);
+        if (tooltip) {
+          tooltip.remove();
+          tooltip = null;
+        }
+        mainContainer.remove();
+        allScrollContainers = [];
+        allYAxisContainers = [];
+        allRightAxisContainers = [];
+        allChartAreas = [];
+      }
+    };
+
+    return chart;
+  }
+
+  // ============================================================================
+  // SERVER-SIDE RENDERING
+  // ============================================================================
+
+  // What styles.css gives the chart SVGs, for static charts that are shown without it: the rules
+  // of its GRID to ANNOTATIONS sections minus pointer-events, transitions and hover states
+  // (styles.css points back here; keep both in sync)
+  const staticStyles = [
+    '.grid-line { stroke: #e8e8e8; stroke-width: 1; stroke-dasharray: 4, 4; }',
+    '.grid-line.grid-line-minor { stroke: #f0f0f0; stroke-width: 0.5; stroke-dasharray: 2, 3; }',
+    '.zero-line { stroke: #666; stroke-width: 1; }',
+    '.axis-line, .axis-tick { stroke: #333; stroke-width: 1; }',
+    '.axis-tick-minor { stroke: #999; stroke-width: 1; }',
+    '.axis-label { font-size: 11px; fill: #666; }',
+    '.axis-title { font-size: 12px; font-weight: 600; fill: #333; }',
+    '.year-label { font-size: 11px; font-weight: 600; fill: #444; }',
+    '.week-label { font-size: 10px; fill: #666; }',
+    '.quarter-label { font-size: 10px; font-weight: 500; fill: #555; }',
+    '.avg-marker { stroke-linecap: round; }',
+    '.series-line { fill: none; stroke-width: 2; stroke-linejoin: round; }',
+    '.series-area { fill-opacity: 0.25; stroke: none; }',
+    '.bar-ghost { fill-opacity: 0.2; stroke-opacity: 0.6; stroke-dasharray: 3 2; }',
+    '.series-ghost { stroke-dasharray: 4 3; opacity: 0.5; }',
+    '.annotation line { stroke-width: 1.5; stroke-dasharray: 5 3; }',
+    '.annotation rect { fill-opacity: 0.15; }',
+    '.annotation-label { font-size: 11px; }'
+  ].join('\n');
+
+  // Font of .barchart-container in styles.css
+  const staticFontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif";
+
+  /**
+   * Render a chart to a static SVG or HTML string without a DOM (e.g. in Node, for emailed reports or
+   * PDFs). The panels, axes and titles are built by the same renderers as in createChart; the
+   * interactive parts (tooltips, legends, drill-down, zoom and the overview) are left out
+   * @param {Object} config - createChart options (container and renderer are ignored)
+   * @param {Object} [options]
+   * @param {string} [options.format='svg'] - 'svg', or 'html' for an HTML document with the SVG inline
+   * @param {string} [options.css] - CSS to inline instead of the styles.css rules the chart uses
+   * @returns {string|null} Markup, or null if there is no data to render
+   */
+  function renderToString(config, options = {}) {
+    const cfg = { ...chartDefaults, ...config, renderer: 'svg' };
+    if (!cfg.timeSeries || cfg.timeSeries.length === 0) {
+      console.warn('Barchart: No timeSeries provided');
+      return null;
+    }
+
+    const timeZone = resolveTimeZone(cfg.timeZone);
+    const { normalizeSeries, processData, resolveAnnotations } = createDataPipeline(() => ({ cfg, timeZone, drillRange: null }));
+
+    const normalizedSeries = normalizeSeries();
+    if (normalizedSeries.length === 0 || !hasData(normalizedSeries[0])) {
+      console.warn('Barchart: No valid data in timeSeries');
+      return null;
+    }
+    const seriesDataSets = normalizedSeries.map(seriesCfg => processData(seriesCfg));
+    const allDates = buildDateDomain(seriesDataSets);
+    if (allDates.length === 0) {
+      console.warn('Barchart: No valid data points provided');
+      return null;
+    }
+    const dateDomain = windowDomain(allDates, cfg.maxBuckets);
+    const slotIndex = new Map(dateDomain.map((date, i) => [date, i]));
+    const { margin, innerWidth, barStep, barWidth } = layoutBars(cfg, normalizedSeries, dateDomain.length);
+    const chartLabel = cfg.ariaLabel || normalizedSeries.map(s => s.title).filter(Boolean).join(', ') || 'Bar chart';
+
+    let svg;
+    staticRendering = true;
+    try {
+      const panels = normalizedSeries.map((seriesCfg, index) => {
+        const panelCfg = {
+          ...cfg,
+          ...seriesCfg,
+          innerWidth,
+          innerHeight: cfg.chartHeight,
+          margin,
+          annotations: resolveAnnotations([...(cfg.annotations || []), ...seriesCfg.annotations])
+        };
+        const panelData = dateDomain.length < allDates.length
+          ? seriesDataSets[index].filter(d => slotIndex.has(d.date))
+          : seriesDataSets[index];
+        const { yAxisSvg, rightAxisSvg, chartSvg, titleText, hoverData } = renderChartPanel(panelCfg, panelData, barStep, barWidth, null, false, slotIndex);
+        hoverData.hoverIndicatorGroup.parentNode.removeChild(hoverData.hoverIndicatorGroup);
+        return { yAxisSvg, chartSvg, rightAxisSvg, title: titleText };
+      });
+      const { xAxisSvg } = renderXAxis(cfg, dateDomain.map(date => ({ date })), barStep, innerWidth, margin);
+
+      svg = stitchChartSvg(panels, xAxisSvg, staticFontFamily);
+      svg.setAttribute('xmlns', svgNS);
+      svg.setAttribute('role', 'img');
+      svg.setAttribute('aria-label', chartLabel);
+      const style = createSVGElement('style');
+      style.textContent = options.css !== undefined ? options.css : staticStyles;
+      svg.insertBefore(style, svg.firstChild);
+    } finally {
+      staticRendering = false;
+    }
+
+    const markup = serializeStaticElement(svg);
+    if (options.format === 'html') {
+      return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n'
+        + `<title>${escapeXML(chartLabel)}</title>\n</head>\n<body style="margin: 0">\n${markup}\n</body>\n</html>\n`;
+    }
+    return markup;
   }
 
   // ============================================================================
@@ -2051,12 +5755,16 @@
 
   return {
     createChart,
+    renderToString,
+    parseCSV,
+    parseJSONLines,
     aggregates,
     formatNumber,
     getWeek,
     getWeekStart,
     getMonthStart,
-    getYearStart
+    getYearStart,
+    parseDate
   };
 
 }));